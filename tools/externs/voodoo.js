@@ -83,6 +83,12 @@ voodoo.Event = function(type, opt_model, opt_triggerId) {};
 /** @type {number} */
 voodoo.Event.prototype.button;
 
+/** @type {number} */
+voodoo.Event.prototype.deltaTime;
+
+/** @type {*} */
+voodoo.Event.prototype.error;
+
 /** @type {Object} */
 voodoo.Event.prototype.hit = {};
 
@@ -98,6 +104,9 @@ voodoo.Event.prototype.hit.z;
 /** @type {voodoo.Model} */
 voodoo.Event.prototype.model;
 
+/** @type {string} */
+voodoo.Event.prototype.modelId;
+
 /** @type {Object} */
 voodoo.Event.prototype.object;
 
@@ -110,6 +119,15 @@ voodoo.Event.prototype.page.x;
 /** @type {number} */
 voodoo.Event.prototype.page.y;
 
+/** @type {string} */
+voodoo.Event.prototype.phase;
+
+/** @type {boolean} */
+voodoo.Event.prototype.rendered;
+
+/** @type {number} */
+voodoo.Event.prototype.rotation;
+
 /** @type {Object} */
 voodoo.Event.prototype.size = {};
 
@@ -155,6 +173,42 @@ voodoo.Model.prototype.update = function(deltaTime) {};
 /** @param {voodoo.Event} event */
 voodoo.Model.prototype.dispatch = function(event) {};
 
+/**
+ * @param {voodoo.Model} child
+ * @return {voodoo.Model}
+ */
+voodoo.Model.prototype.addChild = function(child) {};
+
+/**
+ * @param {voodoo.Model} child
+ * @return {voodoo.Model}
+ */
+voodoo.Model.prototype.removeChild = function(child) {};
+
+/**
+ * @param {string} tag
+ * @return {voodoo.Model}
+ */
+voodoo.Model.prototype.addTag = function(tag) {};
+
+/**
+ * @param {voodoo.Model} model
+ * @return {voodoo.Model}
+ */
+voodoo.Model.prototype.dependsOn = function(model) {};
+
+/**
+ * @param {voodoo.Model} model
+ * @return {voodoo.Model}
+ */
+voodoo.Model.prototype.removeDependency = function(model) {};
+
+/**
+ * @param {string} tag
+ * @return {voodoo.Model}
+ */
+voodoo.Model.prototype.removeTag = function(tag) {};
+
 /**
  * @param {string} type
  * @param {function(voodoo.Event)} listener
@@ -173,6 +227,33 @@ voodoo.Model.prototype.view;
 /** @type {Object} */
 voodoo.Model.prototype.stencilView;
 
+/** @type {number} */
+voodoo.Model.prototype.timeScale;
+
+/** @type {number} */
+voodoo.Model.prototype.id;
+
+/** @type {Array.<string>} */
+voodoo.Model.prototype.tags;
+
+/** @type {voodoo.Model} */
+voodoo.Model.prototype.parent;
+
+/** @type {Array.<voodoo.Model>} */
+voodoo.Model.prototype.children;
+
+/** @type {Array.<voodoo.Model>} */
+voodoo.Model.prototype.dependencies;
+
+/** @type {string} */
+voodoo.Model.prototype.updatePriority;
+
+/** @type {boolean} */
+voodoo.Model.prototype.enabled;
+
+/** @type {string} */
+voodoo.Model.prototype.offscreenUpdate;
+
 /** @type {voodoo.Cache} */
 voodoo.Model.prototype.cache;
 
@@ -185,6 +266,9 @@ voodoo.Model.prototype.name;
 /** @type {string} */
 voodoo.Model.prototype.organization;
 
+/** @type {Object} */
+voodoo.Model.prototype.properties;
+
 /** @type {voodoo.View} */
 voodoo.Model.prototype.viewType;
 
@@ -207,7 +291,14 @@ voodoo.View = function() {};
  */
 voodoo.View.extend = function(opt_object) {};
 
+/**
+ * @param {string} name
+ * @param {*} value
+ */
+voodoo.View.prototype.change = function(name, value) {};
+
 voodoo.View.prototype.dirty = function() {};
+voodoo.View.prototype.interpolate = function(alpha) {};
 voodoo.View.prototype.load = function() {};
 voodoo.View.prototype.unload = function() {};
 
@@ -274,16 +365,23 @@ voodoo.Scene = function() {};
 voodoo.Scene.prototype.add = function(object) {};
 
 /**
- * @param {HTMLElement} element
- * @param {boolean=} opt_center
+ * @param {HTMLElement|Array.<HTMLElement>} element
+ * @param {(Object|boolean)=} opt_options
  * @param {boolean=} opt_pixels
  * @param {boolean=} opt_zscale
+ * @param {boolean=} opt_destroyOnRemove
  */
-voodoo.Scene.prototype.attach = function(element, opt_center, opt_pixels,
-    opt_zscale) {};
+voodoo.Scene.prototype.attach = function(element, opt_options, opt_pixels,
+    opt_zscale, opt_destroyOnRemove) {};
 
 voodoo.Scene.prototype.detach = function() {};
 
+/**
+ * @param {HTMLElement} element
+ * @return {Object}
+ */
+voodoo.Scene.prototype.getRect = function(element) {};
+
 /**
  * @param {Object|Array.<number>} coordinate
  * @return {Object|Array.<number>}
@@ -363,7 +461,29 @@ voodoo.debug;
 voodoo.Engine = function(options) {};
 
 voodoo.Engine.prototype.destroy = function() {};
-voodoo.Engine.prototype.frame = function() {};
+
+/** @param {number=} opt_deltaTime */
+voodoo.Engine.prototype.frame = function(opt_deltaTime) {};
+
+/**
+ * @param {number} id
+ * @return {voodoo.Model}
+ */
+voodoo.Engine.prototype.getModel = function(id) {};
+
+/**
+ * @param {Object=} opt_query
+ * @return {Array.<voodoo.Model>}
+ */
+voodoo.Engine.prototype.findModels = function(opt_query) {};
+
+/** @param {boolean=} opt_stopRendering */
+voodoo.Engine.prototype.pause = function(opt_stopRendering) {};
+
+voodoo.Engine.prototype.resume = function() {};
+
+/** @param {voodoo.Options|Object} options */
+voodoo.Engine.prototype.setOptions = function(options) {};
 
 /**
  * @param {string} type
@@ -380,6 +500,15 @@ voodoo.Engine.prototype.off = function(type, listener) {};
 /** @type {Array.<voodoo.Model>} */
 voodoo.Engine.prototype.models;
 
+/** @type {boolean} */
+voodoo.Engine.prototype.paused;
+
+/** @type {Object} */
+voodoo.Engine.prototype.stats;
+
+/** @type {number} */
+voodoo.Engine.prototype.timeScale;
+
 /** @type {voodoo.Engine} */
 voodoo.engine;
 
@@ -405,15 +534,39 @@ voodoo.Options.prototype.belowLayer;
 /** @type {number} */
 voodoo.Options.prototype.belowZIndex;
 
+/** @type {?function():number} */
+voodoo.Options.prototype.clock;
+
+/** @type {Element} */
+voodoo.Options.prototype.container;
+
+/** @type {boolean} */
+voodoo.Options.prototype.fixedCanvases;
+
+/** @type {number} */
+voodoo.Options.prototype.fixedTimestep;
+
 /** @type {number} */
 voodoo.Options.prototype.fov;
 
 /** @type {boolean} */
 voodoo.Options.prototype.frameLoop;
 
+/** @type {number} */
+voodoo.Options.prototype.maxModelErrors;
+
+/** @type {number} */
+voodoo.Options.prototype.maxUpdatesPerFrame;
+
+/** @type {boolean} */
+voodoo.Options.prototype.pauseOnBlur;
+
 /** @type {boolean} */
 voodoo.Options.prototype.performanceScaling;
 
+/** @type {boolean} */
+voodoo.Options.prototype.profile;
+
 /** @type {boolean} */
 voodoo.Options.prototype.realtime;
 
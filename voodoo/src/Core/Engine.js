@@ -42,8 +42,16 @@ function Engine(opt_options) {
   this.modelCacheFactory_ = new CacheFactory_();
   this.tracker_ = new Tracker_();
 
+  // Remember how many mouse listeners exist so that destroy can check that
+  // this engine's listeners were all removed.
+  this.initialNumMouseEventListeners_ =
+      EventHelpers_.totalNumMouseEventListeners_;
+
   // Setup models property
   this.models_ = [];
+  this.modelsById_ = {};
+  this.modelsByName_ = {};
+  this.modelsByTag_ = {};
   var that = this;
   Object.defineProperty(this, 'models', {
     get: function() {
@@ -54,27 +62,49 @@ function Engine(opt_options) {
     enumerable: true
   });
 
-  // Create the timer used to measure delta times between frames.
-  this.setupDeltaTimer_();
+  // Setup paused property
+  this.pauseSources_ = {};
+  Object.defineProperty(this, 'paused', {
+    get: function() { return that.isPaused_(); },
+    enumerable: true
+  });
 
-  // Create the renderer
-  switch (options['renderer']) {
+  // Setup timeScale property
+  this.timeScale_ = 1;
+  Object.defineProperty(this, 'timeScale', {
+    get: function() { return that.timeScale_; },
+    set: function(value) { that.setTimeScale_(value); },
+    enumerable: true
+  });
 
-    case Renderer['ThreeJs']:
-      this.renderer_ = new ThreeJsRenderer_(this);
-      this.raycaster_ = new ThreeJsRaycaster_(this);
-      break;
+  // Setup the profiler, which also measures frames per second
+  if (DEBUG || options['performanceScaling'] || options['profile'])
+    this.profiler_ = new Profiler_(this);
+  else this.profiler_ = null;
 
-    default:
-      this.renderer_ = null;
-      this.raycaster_ = null;
-      log_.error_('Unsupported renderer', '(Engine::Engine)');
-      break;
+  Object.defineProperty(this, 'stats', {
+    get: function() {
+      var profiler = that.profiler_;
+      return profiler && profiler.enabled_ ? profiler.stats_() : null;
+    },
+    enumerable: true
+  });
 
-  }
+  // Create the timer used to measure delta times between frames.
+  this.setupDeltaTimer_();
 
-  // Create the dispatcher for engine events
-  this.dispatcher_ = new Dispatcher_();
+  // Create the renderer. It may turn off antialiasing and the seam layer if
+  // they are not supported, so remember what was asked for in case the
+  // renderer is rebuilt later.
+  this.requestedAntialias_ = options['antialias'];
+  this.requestedSeamLayer_ = options['seamLayer'];
+  this.createRenderer_();
+
+  // Create the dispatcher for engine events. Exceptions thrown by listeners
+  // are logged so that they cannot break the frame loop.
+  this.dispatcher_ = new Dispatcher_(function(error, event) {
+    log_.warn_('Caught exception in ' + event['type'] + ' listener:', error);
+  });
 
   // Create the mouse detector
   this.mouseDetector_ = new MouseDetector_(this);
@@ -87,37 +117,15 @@ function Engine(opt_options) {
   // are in the scene when they are created to build the shaders properly.
   // We must set voodoo.engine because AmbientLight_ and CameraLight_ are both
   // models that will try to create voodoo.engine if it isn't already set.
-  if (options['standardLighting']) {
-    log_.info_('Creating standard lights');
-    new AmbientLight_({'color': 'white'});
-    new CameraLight_({'color': 'white'});
-  }
+  this.standardLights_ = [];
+  if (options['standardLighting'])
+    this.createStandardLights_();
 
   this.updateThread_ = -1;
   this.renderThread_ = -1;
   this.realtimeThread_ = -1;
 
-  var realtimeUpdate = this.options_['updateInterval'] === 0;
-  var realtimeRender = this.options_['renderInterval'] === 0;
-
-  if (options['frameLoop']) {
-    log_.info_('Beginning frame loop');
-
-    if (realtimeUpdate || realtimeRender)
-      this.run_(realtimeUpdate, realtimeRender);
-
-    if (!realtimeUpdate) {
-      this.updateThread_ = window.setInterval(function() {
-        that.update_();
-      }, this.options_['updateInterval']);
-    }
-
-    if (!realtimeRender) {
-      this.renderThread_ = window.setInterval(function() {
-        that.renderer_.render_();
-      }, this.options_['renderInterval']);
-    }
-  }
+  this.startFrameLoop_();
 }
 
 
@@ -133,12 +141,8 @@ Engine.prototype['destroy'] = function() {
   this.dispatcher_.dispatchEvent_(null, new window['voodoo']['Event'](
       'destroy'));
 
-  if (this.updateThread_ !== -1)
-    window.clearInterval(this.updateThread_);
-  if (this.renderThread_ !== -1)
-    window.clearInterval(this.renderThread_);
-  if (this.realtimeThread_ !== -1)
-    window.cancelAnimationFrame(this.realtimeThread_);
+  this.stopFrameLoop_();
+  this.tearDownDeltaTimer_();
 
   while (this.models_.length > 0) {
     /** @type {Model} */
@@ -150,7 +154,16 @@ Engine.prototype['destroy'] = function() {
 
   this.renderer_.destroy_();
   this.mouseDetector_.destroy_();
+  if (this.profiler_)
+    this.profiler_.destroy_();
   this.dispatcher_.destroy_();
+  this.tracker_.destroy_();
+
+  // Every dispatcher has been destroyed, so the engine's mouse listeners
+  // should all be gone.
+  log_.assert_(EventHelpers_.totalNumMouseEventListeners_ ===
+      this.initialNumMouseEventListeners_, 'Mouse event listeners leaked.',
+      EventHelpers_.totalNumMouseEventListeners_, '(Engine::destroy)');
 
   if (typeof window['voodoo']['engine'] !== 'undefined')
     delete window['voodoo']['engine'];
@@ -159,28 +172,121 @@ Engine.prototype['destroy'] = function() {
   this.mouseDetector_ = null;
   this.dispatcher_ = null;
   this.models_ = null;
+  this.modelsById_ = null;
+  this.modelsByName_ = null;
+  this.modelsByTag_ = null;
   this.updateThread_ = -1;
   this.renderThread_ = -1;
   this.realtimeThread_ = -1;
   this.options_ = null;
   this.modelCacheFactory_ = null;
   this.tracker_ = null;
+  this.pauseSources_ = null;
+  this.profiler_ = null;
+  this.standardLights_ = null;
 
   nextModelId_ = 0;
 };
 
 
+/**
+ * Finds the models that match a query. Every property of the query is
+ * optional, and a model must match all of the ones given.
+ *
+ *    name: The model's type name.
+ *    organization: The model's organization.
+ *    type: A model type that the model's type is or extends.
+ *    tag: A tag the model has.
+ *    predicate: A function that receives each model and returns true to
+ *      include it.
+ *
+ * @this {Engine}
+ *
+ * @param {Object=} opt_query Properties the models must match. If not
+ *     provided, every model is returned.
+ *
+ * @return {Array.<Model>} A new array of the matching models.
+ */
+Engine.prototype['findModels'] = function(opt_query) {
+  var query = opt_query || {};
+  var name = query['name'];
+  var organization = query['organization'];
+  var type = query['type'];
+  var tag = query['tag'];
+  var predicate = query['predicate'];
+
+  log_.assert_(!type || typeof type === 'function',
+      'type must be a model type.', '(Engine::findModels)');
+  log_.assert_(!predicate || typeof predicate === 'function',
+      'predicate must be a function.', '(Engine::findModels)');
+
+  // Start with the smallest list we have an index for.
+  var candidates = this.models_;
+  if (typeof tag !== 'undefined')
+    candidates = Engine.lookUpIndex_(this.modelsByTag_, tag);
+  else if (typeof name !== 'undefined')
+    candidates = Engine.lookUpIndex_(this.modelsByName_, name);
+
+  var matches = [];
+  for (var i = 0, len = candidates.length; i < len; ++i) {
+    var model = candidates[i];
+    if ((typeof name === 'undefined' || model['name'] === name) &&
+        (typeof organization === 'undefined' ||
+            model['organization'] === organization) &&
+        (!type || Model.isOfType_(model, type)))
+      matches.push(model);
+  }
+
+  // The predicate runs last and on a copy, so it may destroy models.
+  if (predicate)
+    matches = matches.filter(function(model) { return !!predicate(model); });
+
+  return matches;
+};
+
+
 /**
  * Runs a single frame of update and render.
  *
  * The user does not need to call this if frameLoop
- * option is set to true, the default option.
+ * option is set to true, the default option. Nothing is updated while
+ * the engine is paused.
+ *
+ * @this {Engine}
+ *
+ * @param {number=} opt_deltaTime Seconds to advance the models by. If this
+ *     is provided, the clock is ignored for this frame so tests can step the
+ *     engine deterministically. Only valid when frameLoop is false.
+ */
+Engine.prototype['frame'] = function(opt_deltaTime) {
+  log_.assert_(typeof opt_deltaTime === 'undefined' ||
+      !this.options_['frameLoop'],
+      'An explicit deltaTime requires frameLoop to be false.',
+      '(Engine::frame)');
+  log_.assert_(typeof opt_deltaTime === 'undefined' ||
+      (typeof opt_deltaTime === 'number' && opt_deltaTime >= 0),
+      'deltaTime must be a non-negative number.', opt_deltaTime,
+      '(Engine::frame)');
+
+  if (!this.isPaused_())
+    this.update_(opt_deltaTime);
+  if (!this.isRenderingPaused_())
+    this.renderer_.render_();
+};
+
+
+/**
+ * Finds a model by its id.
  *
  * @this {Engine}
+ *
+ * @param {number} id The model's id.
+ *
+ * @return {Model} The model, or null if no model has the id.
  */
-Engine.prototype['frame'] = function() {
-  this.update_();
-  this.renderer_.render_();
+Engine.prototype['getModel'] = function(id) {
+  var modelsById = this.modelsById_;
+  return modelsById.hasOwnProperty(id) ? modelsById[id] : null;
 };
 
 
@@ -198,7 +304,13 @@ Engine.prototype['off'] = function(type, listener) {
 
 
 /**
- * Adds an event handler. Valid events are destroy, addmodel, and removemodel.
+ * Adds an event handler. Valid events are destroy, addmodel, removemodel,
+ * pause, resume, hidden, visible, timescale, beforeupdate, afterupdate,
+ * beforerender, afterrender, error, and stats. The frame events carry the
+ * frame's deltaTime, and afterrender also tells whether anything was
+ * rendered. The error event carries the exception, the model's id, and the
+ * phase it was thrown from. The stats event carries the same object as the
+ * stats property in its object field.
  *
  * @this {Engine}
  *
@@ -210,6 +322,98 @@ Engine.prototype['on'] = function(type, listener) {
 };
 
 
+/**
+ * Pauses updating models until resume() is called. Models and their views
+ * are kept intact.
+ *
+ * @this {Engine}
+ *
+ * @param {boolean=} opt_stopRendering If true, rendering is paused too. If
+ *     false, the scene is still rendered so scrolling and resizing the page
+ *     stay in sync. Default is false.
+ */
+Engine.prototype['pause'] = function(opt_stopRendering) {
+  this.addPauseSource_(PauseSource_['User'], !!opt_stopRendering);
+};
+
+
+/**
+ * Resumes updating models after a call to pause(). The engine remains paused
+ * while the page is hidden.
+ *
+ * @this {Engine}
+ */
+Engine.prototype['resume'] = function() {
+  this.removePauseSource_(PauseSource_['User']);
+};
+
+
+/**
+ * Changes engine options without destroying the engine or its models.
+ * Options that change the layers, cameras, or lighting rebuild the renderer
+ * and recreate every model's views. Options that change the frame loop
+ * restart it. All other options take effect on the next frame.
+ *
+ * @this {Engine}
+ *
+ * @param {Options|Object} options Options to change. Options that are not
+ *     specified keep their current values.
+ */
+Engine.prototype['setOptions'] = function(options) {
+  log_.assert_(options, 'options must be valid.', '(Engine::setOptions)');
+
+  var engineOptions = this.options_;
+
+  log_.assert_(typeof options['renderer'] === 'undefined' ||
+      options['renderer'] === engineOptions['renderer'],
+      'The renderer cannot be changed.', '(Engine::setOptions)');
+
+  if (options.hasOwnProperty('antialias'))
+    this.requestedAntialias_ = options['antialias'];
+  if (options.hasOwnProperty('seamLayer'))
+    this.requestedSeamLayer_ = options['seamLayer'];
+
+  var changed = {};
+  for (var key in options) {
+    if (options.hasOwnProperty(key) && engineOptions[key] !== options[key]) {
+      log_.info_('   options.' + key + ': ' + options[key]);
+      engineOptions[key] = options[key];
+      changed[key] = true;
+    }
+  }
+
+  this.validateOptions_();
+
+  if (changed['profile'] || changed['performanceScaling']) {
+    if (!this.profiler_ && (engineOptions['profile'] ||
+        engineOptions['performanceScaling']))
+      this.profiler_ = new Profiler_(this);
+    if (this.profiler_)
+      this.profiler_.enabled_ = engineOptions['profile'];
+  }
+
+  if (changed['aboveLayer'] || changed['aboveZIndex'] ||
+      changed['antialias'] || changed['belowLayer'] ||
+      changed['belowZIndex'] || changed['container'] ||
+      changed['fixedCanvases'] || changed['fov'] ||
+      changed['performanceScaling'] || changed['seamLayer'] ||
+      changed['seamZIndex'] || changed['standardLighting'] ||
+      changed['stencils'])
+    this.rebuildRenderer_();
+
+  if (changed['frameLoop'] || changed['renderInterval'] ||
+      changed['updateInterval']) {
+    this.stopFrameLoop_();
+    this.startFrameLoop_();
+  }
+
+  // Stop waiting for focus if we no longer pause on blur.
+  if (changed['pauseOnBlur'] && !engineOptions['pauseOnBlur'] &&
+      this.pauseSources_.hasOwnProperty(PauseSource_['Focus']))
+    this.restartAfterDelay_(PauseSource_['Focus']);
+};
+
+
 /**
  * An array of models managed by the engine.
  *
@@ -218,6 +422,39 @@ Engine.prototype['on'] = function(type, listener) {
 Engine.prototype['models'] = null;
 
 
+/**
+ * Readonly property indicating whether model updates are paused, either
+ * by the user or because the page is hidden.
+ *
+ * @type {boolean}
+ */
+Engine.prototype['paused'] = false;
+
+
+/**
+ * Readonly snapshot of frame timings in milliseconds when the profile option
+ * is enabled, or null otherwise. The fps and rps properties hold the frames
+ * and renders per second. The update, tracker, mouse, and render properties,
+ * and each entry in layers and models, hold the average, median, p95, p99,
+ * and max of recent timings. Models are keyed by their id.
+ *
+ * @type {Object}
+ */
+Engine.prototype['stats'] = null;
+
+
+/**
+ * Multiplier applied to the deltaTime passed to every model's update.
+ * For example, 0.25 plays animations in slow motion and 2 doubles their
+ * speed. Setting this fires a timescale event.
+ *
+ * Default is 1.
+ *
+ * @type {number}
+ */
+Engine.prototype['timeScale'] = 1;
+
+
 /**
  * Adds a model to be updated by the engine.
  *
@@ -230,229 +467,1320 @@ Engine.prototype['models'] = null;
 Engine.prototype.addModel_ = function(model) {
   log_.assert_(model, 'model must be valid.', '(Engine::addModel_)');
 
-  this.models_.push(model);
+  var vars = model['privateModelProperties'];
+  vars.addOrder_ = this.numModelsAdded_++;
+
+  this.modelsById_[model['id']] = model;
+  Engine.addToIndex_(this.modelsByName_, model['name'], model);
+  var tags = vars.tags_;
+  for (var i = 0, len = tags.length; i < len; ++i)
+    Engine.addToIndex_(this.modelsByTag_, tags[i], model);
+
+  // A model related to others during initialize needs a full sort. Others
+  // only need to go after the last model with the same or earlier priority.
+  if (vars.parent_ || vars.children_.length > 0 ||
+      vars.dependencies_.length > 0 || vars.dependents_.length > 0) {
+    this.models_.push(model);
+    this.sortModels_();
+  } else {
+    var models = this.models_;
+    var index = models.length;
+    while (index > 0 && Engine.compareModels_(models[index - 1], model) > 0)
+      --index;
+    models.splice(index, 0, model);
+  }
+
   this.dispatcher_.dispatchEvent_(null, new window['voodoo']['Event'](
       'addmodel', model));
 };
 
 
 /**
- * Returns whether the window currently has focus.
+ * Indexes a tag added to a model.
+ *
+ * This is called by Model.addTag.
  *
  * @private
  *
- * @return {boolean} Whether we have focus.
+ * @param {Model} model Model that was tagged.
+ * @param {string} tag Tag that was added.
  */
-Engine.prototype.hasFocus_ = function() {
-  return this.lastTicks_ !== 0;
+Engine.prototype.addModelTag_ = function(model, tag) {
+  Engine.addToIndex_(this.modelsByTag_, tag, model);
 };
 
 
 /**
- * Marks the renderer as dirty forcing a re-render.
+ * Pauses the engine for a reason. The engine is paused as long as at
+ * least one source is active. The first source dispatches the pause event.
  *
  * @private
+ *
+ * @param {PauseSource_} source Reason for pausing.
+ * @param {boolean} stopRendering Whether rendering should also be paused.
  */
-Engine.prototype.markRendererDirty_ = function() {
-  this.renderer_.markDirty_();
+Engine.prototype.addPauseSource_ = function(source, stopRendering) {
+  log_.assert_(source, 'source must be valid.', '(Engine::addPauseSource_)');
+
+  var wasPaused = this.isPaused_();
+  var wasRenderingPaused = this.isRenderingPaused_();
+
+  this.pauseSources_[source] = stopRendering;
+
+  if (!wasRenderingPaused && this.isRenderingPaused_())
+    this.renderer_.onPause_();
+
+  if (!wasPaused) {
+    log_.info_('Pausing');
+    this.dispatcher_.dispatchEvent_(null, new window['voodoo']['Event'](
+        'pause'));
+  }
 };
 
 
 /**
- * Adds a model to be updated by the engine.
- *
- * This is called during Model initialization.
+ * Creates the renderer and the raycaster that depends on it.
  *
  * @private
- *
- * @param {Model} model Model to remove.
  */
-Engine.prototype.removeModel_ = function(model) {
-  log_.assert_(model, 'model must be valid.', '(Engine::removeModel_)');
+Engine.prototype.createRenderer_ = function() {
+  switch (this.options_['renderer']) {
 
-  this.models_.splice(this.models_.indexOf(model), 1);
-  this.dispatcher_.dispatchEvent_(null, new window['voodoo']['Event'](
-      'removemodel', model));
+    case Renderer['ThreeJs']:
+      this.renderer_ = new ThreeJsRenderer_(this);
+      this.raycaster_ = new ThreeJsRaycaster_(this);
+      break;
+
+    default:
+      this.renderer_ = null;
+      this.raycaster_ = null;
+      log_.error_('Unsupported renderer', '(Engine::createRenderer_)');
+      break;
+
+  }
 };
 
 
 /**
- * Starts rendering and updating in a frame loop.
+ * Creates the ambient and camera lights.
  *
  * @private
- *
- * @param {boolean} update Whether to update in the frame loop.
- * @param {boolean} render Whether to render in the frame loop.
  */
-Engine.prototype.run_ = function(update, render) {
-  var that = this;
-  this.realtimeThread_ = requestAnimationFrame(function() {
-    that.run_(update, render);
-  });
+Engine.prototype.createStandardLights_ = function() {
+  log_.info_('Creating standard lights');
 
-  // Only update and render if we have focus.
-  if (this.hasFocus_()) {
-    if (update)
-      this.update_();
-    if (render)
-      this.renderer_.render_();
-  }
+  this.standardLights_.push(new AmbientLight_({'color': 'white'}));
+  this.standardLights_.push(new CameraLight_({'color': 'white'}));
 };
 
 
 /**
- * Sets up the callbacks to start and stop the timer.
+ * Dispatches one of the per-frame lifecycle events.
  *
  * @private
+ *
+ * @param {string} type Event type.
+ * @param {boolean=} opt_rendered Whether anything was rendered.
  */
-Engine.prototype.setupDeltaTimer_ = function() {
-  log_.info_('Starting timers.');
-
-  var that = this;
-  this.lastTicks_ = 0;
-  this.lastDeltaTime_ = 0;
-  this.focusDelayTimerId_ = 0;
-
-  // Register with the window focus event so we know when the user switches
-  // back to our tab. We will reset timing data.
-  window.addEventListener('focus', function() {
-    log_.info_('Window focus acquired. Starting.');
-
-    that.lastTicks_ = 0;
-    that.focusDelayTimerId_ = setTimeout(function() {
-      that.lastTicks_ = Date.now();
-      that.focusDelayTimerId_ = 0;
-
-      that.renderer_.onFocus_();
-    }, that.options_.timerStartOnFocusDelayMs_);
-  }, false);
-
-  // Register with the window blur event so that when the user switchs to
-  // another tab, we stop the timing so that the animations look like they
-  // paused.
-  window.addEventListener('blur', function() {
-    log_.info_('Window lost focus. Pausing.');
-
-    that.lastTicks_ = 0;
-    if (that.focusDelayTimerId_ !== 0) {
-      clearTimeout(that.focusDelayTimerId_);
-      that.focusDelayTimerId_ = 0;
-    }
-
-    that.renderer_.onBlur_();
-  }, false);
-
-  // Start animations 1 second after the page loads to minimize hickups
-  setTimeout(function() {
-    if (!document.hasFocus || document.hasFocus())
-      that.lastTicks_ = Date.now();
-  }, that.options_.timerStartOnLoadDelayMs_);
+Engine.prototype.dispatchFrameEvent_ = function(type, opt_rendered) {
+  var evt = new window['voodoo']['Event'](type);
+  evt['deltaTime'] = this.frameDeltaTime_;
+  evt['rendered'] = !!opt_rendered;
+  this.dispatcher_.dispatchEvent_(null, evt);
 };
 
 
 /**
- * Runs one frame of update.
+ * Reports an exception thrown by a model and quarantines the model once it
+ * has failed too many times.
  *
  * @private
+ *
+ * @param {Model} model Model that threw.
+ * @param {string} phase What the model was doing when it threw.
+ * @param {*} error Exception that was caught.
  */
-Engine.prototype.update_ = function() {
-  // Calculate the time delta between this frame the last in seconds
-  var deltaTime = 0;
-  var currTicks = Date.now();
-  if (this.hasFocus_()) {
-    deltaTime = (currTicks - this.lastTicks_) / 1000.0;
-    this.lastTicks_ = currTicks;
-  }
+Engine.prototype.handleModelError_ = function(model, phase, error) {
+  log_.assert_(model, 'model must be valid.', '(Engine::handleModelError_)');
 
-  // If the delta time is more than twice the last delta time,
-  // use the last delta time
-  if (deltaTime > this.lastDeltaTime_ * 2) {
-    var temp = this.lastDeltaTime_;
-    this.lastDeltaTime_ = deltaTime;
-    deltaTime = temp;
-  } else this.lastDeltaTime_ = deltaTime;
+  var vars = model['privateModelProperties'];
+  log_.warn_(vars['id'], 'Caught exception during ' + phase + ':', error);
 
-  // Update the HTML element tracker
-  this.tracker_.update_();
+  vars.numErrors_ = (vars.numErrors_ || 0) + 1;
 
-  // Update each model
-  var models = this.models_;
-  for (var modelIndex = 0, numModels = models.length; modelIndex < numModels;
-      ++modelIndex)
-    models[modelIndex].update(deltaTime);
+  var maxModelErrors = this.options_['maxModelErrors'];
+  if (maxModelErrors > 0 && vars.numErrors_ >= maxModelErrors &&
+      !vars.quarantined_) {
+    log_.warn_(vars['id'], 'Quarantined after ' + vars.numErrors_ +
+        ' errors.');
+    vars.quarantined_ = true;
+  }
 
-  // Tell the mouse detector to dispatch all frame-based events.
-  this.mouseDetector_.update_();
+  var evt = new window['voodoo']['Event']('error', model);
+  evt['error'] = error;
+  evt['modelId'] = model['id'];
+  evt['phase'] = phase;
+
+  this.dispatcher_.dispatchEvent_(null, evt);
+  if (vars.dispatcher_)
+    vars.dispatcher_.dispatchEvent_(model, evt);
 };
 
 
 /**
- * Checks that the options are valid.
+ * Returns whether the window currently has focus.
  *
  * @private
+ *
+ * @return {boolean} Whether we have focus.
  */
-Engine.prototype.validateOptions_ = function() {
-  // Check that there is at least one layer
-  if (!this.options_['aboveLayer'] &&
-      !this.options_['belowLayer']) {
-    log_.error_('At least one layer must be enabled.',
-        '(Engine::validateOptions_)');
-  }
+Engine.prototype.hasFocus_ = function() {
+  return this.lastTicks_ !== null;
 };
 
 
 /**
- * The main mouse event detector.
+ * Returns whether model updates are paused for any reason.
  *
  * @private
- * @type {MouseDetector_}
+ *
+ * @return {boolean} Whether we are paused.
  */
-Engine.prototype.mouseDetector_ = null;
+Engine.prototype.isPaused_ = function() {
+  for (var source in this.pauseSources_) {
+    if (this.pauseSources_.hasOwnProperty(source))
+      return true;
+  }
+  return false;
+};
 
 
 /**
- * Cache factory for all model objects.
+ * Returns whether any active pause source also pauses rendering.
  *
  * @private
- * @type {CacheFactory_}
+ *
+ * @return {boolean} Whether rendering is paused.
  */
-Engine.prototype.modelCacheFactory_ = null;
+Engine.prototype.isRenderingPaused_ = function() {
+  for (var source in this.pauseSources_) {
+    if (this.pauseSources_.hasOwnProperty(source) &&
+        this.pauseSources_[source])
+      return true;
+  }
+  return false;
+};
 
 
 /**
- * The options for this engine.
+ * Marks the renderer as dirty forcing a re-render.
  *
  * @private
- * @type {Options}
  */
-Engine.prototype.options_ = null;
+Engine.prototype.markRendererDirty_ = function() {
+  this.renderer_.markDirty_();
+};
 
 
 /**
- * The main raycaster.
+ * Returns the current time in milliseconds from the clock.
  *
  * @private
- * @type {Raycaster_}
+ *
+ * @return {number} Current time in milliseconds.
  */
-Engine.prototype.raycaster_ = null;
+Engine.prototype.now_ = function() {
+  var clock = this.options_['clock'];
+  return clock ? clock() : Date.now();
+};
 
 
 /**
- * The main renderer.
+ * Replaces the renderer with one built from the current options, and
+ * recreates the views of every model on the new layers.
  *
  * @private
- * @type {RenderingEngine_}
  */
-Engine.prototype.renderer_ = null;
+Engine.prototype.rebuildRenderer_ = function() {
+  log_.info_('Rebuilding renderer');
+
+  // The standard lights are recreated rather than rebuilt so that they
+  // follow the standardLighting option.
+  var standardLights = this.standardLights_;
+  this.standardLights_ = [];
+  for (var lightIndex = 0, numLights = standardLights.length;
+      lightIndex < numLights; ++lightIndex)
+    standardLights[lightIndex]['destroy']();
+
+  var models = this.models_.slice(0);
+  var numModels = models.length;
+  var modelIndex;
+  for (modelIndex = 0; modelIndex < numModels; ++modelIndex) {
+    models[modelIndex]['tearDownViews']();
+    models[modelIndex].destroyViews_();
+  }
+
+  this.renderer_.destroy_();
+
+  this.options_['antialias'] = this.requestedAntialias_;
+  this.options_['seamLayer'] = this.requestedSeamLayer_;
+  this.createRenderer_();
+
+  var mouseDetector = this.mouseDetector_;
+  this.raycaster_.setMouse_(new Vector2_(mouseDetector.clientX_,
+      mouseDetector.clientY_));
+
+  // Lights must exist before other views create their materials.
+  if (this.options_['standardLighting'])
+    this.createStandardLights_();
+
+  for (modelIndex = 0; modelIndex < numModels; ++modelIndex) {
+    models[modelIndex].createViews_(this);
+    models[modelIndex]['setUpViews']();
+  }
+
+  // Parents are recreated before their children, but link afterwards anyway
+  // so that every layer of every parent exists.
+  for (var linkIndex = 0; linkIndex < numModels; ++linkIndex) {
+    var childModel = models[linkIndex];
+    if (childModel['privateModelProperties'].parent_)
+      childModel.linkViews_();
+  }
+
+  if (this.isRenderingPaused_())
+    this.renderer_.onPause_();
+};
 
 
 /**
- * The HTML element tracker.
+ * Adds a model to be updated by the engine.
+ *
+ * This is called during Model initialization.
  *
  * @private
- * @type {Tracker_}
+ *
+ * @param {Model} model Model to remove.
  */
-Engine.prototype.tracker_ = null;
+Engine.prototype.removeModel_ = function(model) {
+  log_.assert_(model, 'model must be valid.', '(Engine::removeModel_)');
+
+  this.models_.splice(this.models_.indexOf(model), 1);
+
+  delete this.modelsById_[model['id']];
+  Engine.removeFromIndex_(this.modelsByName_, model['name'], model);
+  var tags = model['privateModelProperties'].tags_;
+  for (var i = 0, len = tags.length; i < len; ++i)
+    Engine.removeFromIndex_(this.modelsByTag_, tags[i], model);
+  if (this.profiler_)
+    this.profiler_.removeModel_(model);
+
+  this.dispatcher_.dispatchEvent_(null, new window['voodoo']['Event'](
+      'removemodel', model));
+};
+
+
+/**
+ * Removes a tag from the index when it is removed from a model.
+ *
+ * This is called by Model.removeTag.
+ *
+ * @private
+ *
+ * @param {Model} model Model that was untagged.
+ * @param {string} tag Tag that was removed.
+ */
+Engine.prototype.removeModelTag_ = function(model, tag) {
+  Engine.removeFromIndex_(this.modelsByTag_, tag, model);
+};
+
+
+/**
+ * Removes a reason for pausing. When the last source is removed, the timer
+ * restarts and the resume event is dispatched.
+ *
+ * @private
+ *
+ * @param {PauseSource_} source Reason for pausing.
+ */
+Engine.prototype.removePauseSource_ = function(source) {
+  log_.assert_(source, 'source must be valid.',
+      '(Engine::removePauseSource_)');
+
+  if (!this.pauseSources_.hasOwnProperty(source))
+    return;
+
+  var wasRenderingPaused = this.isRenderingPaused_();
+
+  delete this.pauseSources_[source];
+
+  if (wasRenderingPaused && !this.isRenderingPaused_())
+    this.renderer_.onResume_();
+
+  if (!this.isPaused_()) {
+    log_.info_('Resuming');
+
+    // Restart the timer so the time spent paused isn't counted as a frame.
+    if (this.lastTicks_ !== null)
+      this.lastTicks_ = this.now_();
+
+    this.dispatcher_.dispatchEvent_(null, new window['voodoo']['Event'](
+        'resume'));
+  }
+};
+
+
+/**
+ * Restarts the timer and removes a pause source after a short delay so that
+ * the page has time to settle.
+ *
+ * @private
+ *
+ * @param {PauseSource_} source Reason for suspending.
+ */
+Engine.prototype.restartAfterDelay_ = function(source) {
+  var that = this;
+  this.lastTicks_ = null;
+
+  var timerId = this.restartTimerIds_[source];
+  if (timerId)
+    clearTimeout(timerId);
+
+  this.restartTimerIds_[source] = setTimeout(function() {
+    delete that.restartTimerIds_[source];
+    that.lastTicks_ = that.now_();
+
+    that.removePauseSource_(source);
+  }, this.options_.timerStartOnFocusDelayMs_);
+};
+
+
+/**
+ * Starts rendering and updating in a frame loop.
+ *
+ * @private
+ *
+ * @param {boolean} update Whether to update in the frame loop.
+ * @param {boolean} render Whether to render in the frame loop.
+ */
+Engine.prototype.run_ = function(update, render) {
+  var that = this;
+  this.realtimeThread_ = requestAnimationFrame(function() {
+    that.run_(update, render);
+  });
+
+  // Only update and render once the timer has started and we are not paused.
+  if (this.hasFocus_()) {
+    if (update && !this.isPaused_())
+      this.update_();
+    if (render && !this.isRenderingPaused_())
+      this.renderer_.render_();
+  }
+};
+
+
+/**
+ * Changes the global time scale and notifies listeners.
+ *
+ * @private
+ *
+ * @param {number} timeScale New time scale.
+ */
+Engine.prototype.setTimeScale_ = function(timeScale) {
+  log_.assert_(typeof timeScale === 'number' && timeScale >= 0,
+      'timeScale must be a non-negative number.', timeScale,
+      '(Engine::setTimeScale_)');
+
+  if (timeScale === this.timeScale_)
+    return;
+
+  this.timeScale_ = timeScale;
+
+  this.dispatcher_.dispatchEvent_(null, new window['voodoo']['Event'](
+      'timescale'));
+};
+
+
+/**
+ * Orders the models so that parents update before their children, models
+ * update after the models they depend on, and otherwise models update by
+ * priority and then in the order they were added.
+ *
+ * This is called when the model hierarchy, dependencies, or priorities
+ * change rather than every frame.
+ *
+ * @private
+ */
+Engine.prototype.sortModels_ = function() {
+  var modelsById = this.modelsById_;
+  var models = this.models_;
+
+  // Count the models in the engine that must update before each one.
+  var numWaiting = {};
+  var waitingModels = {};
+  for (var modelIndex = 0, numModels = models.length; modelIndex < numModels;
+      ++modelIndex) {
+    var model = models[modelIndex];
+    var vars = model['privateModelProperties'];
+
+    var predecessors = vars.dependencies_.slice(0);
+    if (vars.parent_)
+      predecessors.push(vars.parent_);
+
+    var count = 0;
+    for (var predecessorIndex = 0, numPredecessors = predecessors.length;
+        predecessorIndex < numPredecessors; ++predecessorIndex) {
+      var predecessor = predecessors[predecessorIndex];
+      var predecessorId = predecessor['id'];
+      if (modelsById[predecessorId] !== predecessor)
+        continue;
+
+      if (!waitingModels[predecessorId])
+        waitingModels[predecessorId] = [];
+      waitingModels[predecessorId].push(model);
+      ++count;
+    }
+
+    numWaiting[model['id']] = count;
+  }
+
+  // Models that are ready to update are kept ordered by priority and then
+  // by the order they were added.
+  var ready = [];
+  var addReady = function(model) {
+    var index = ready.length;
+    while (index > 0 && Engine.compareModels_(ready[index - 1], model) > 0)
+      --index;
+    ready.splice(index, 0, model);
+  };
+
+  for (var readyIndex = 0; readyIndex < numModels; ++readyIndex) {
+    if (numWaiting[models[readyIndex]['id']] === 0)
+      addReady(models[readyIndex]);
+  }
+
+  var sorted = [];
+  while (ready.length > 0) {
+    var readyModel = ready.shift();
+    sorted.push(readyModel);
+
+    var waiting = waitingModels[readyModel['id']] || [];
+    for (var waitingIndex = 0, numWaitingModels = waiting.length;
+        waitingIndex < numWaitingModels; ++waitingIndex) {
+      var waitingModel = waiting[waitingIndex];
+      if (--numWaiting[waitingModel['id']] === 0)
+        addReady(waitingModel);
+    }
+  }
+
+  // addChild and dependsOn refuse cycles, so every model should be sorted.
+  // Should one slip through anyway, keep updating its models in their old
+  // order rather than losing them.
+  if (sorted.length !== numModels) {
+    log_.warn_('Model update order is circular.', '(Engine::sortModels_)');
+    for (var unsortedIndex = 0; unsortedIndex < numModels; ++unsortedIndex) {
+      var unsortedModel = models[unsortedIndex];
+      if (sorted.indexOf(unsortedModel) === -1)
+        sorted.push(unsortedModel);
+    }
+  }
+
+  this.models_ = sorted;
+};
+
+
+/**
+ * Sets up the callbacks to start and stop the timer.
+ *
+ * @private
+ */
+Engine.prototype.setupDeltaTimer_ = function() {
+  log_.info_('Starting timers.');
+
+  var that = this;
+  this.lastTicks_ = null;
+  this.lastDeltaTime_ = 0;
+  this.accumulatedTime_ = 0;
+  this.restartTimerIds_ = {};
+
+  // Register with the visibilitychange event so that when the user switches
+  // to another tab or minimizes the window, we stop the timing so that the
+  // animations look like they paused. When the page is shown again, we
+  // reset timing data and resume after a delay.
+  this.visibilityChangeListener_ = function() {
+    if (document.visibilityState === 'hidden') {
+      log_.info_('Page hidden. Pausing.');
+
+      that.suspend_(PauseSource_['Visibility']);
+      that.dispatcher_.dispatchEvent_(null, new window['voodoo']['Event'](
+          'hidden'));
+    } else {
+      log_.info_('Page visible. Starting.');
+
+      that.restartAfterDelay_(PauseSource_['Visibility']);
+      that.dispatcher_.dispatchEvent_(null, new window['voodoo']['Event'](
+          'visible'));
+    }
+  };
+  document.addEventListener('visibilitychange',
+      this.visibilityChangeListener_, false);
+
+  // Losing focus does not mean the page is hidden. The user may have clicked
+  // into an iframe or the developer tools, so only pause when asked to.
+  this.focusListener_ = function() {
+    if (that.pauseSources_.hasOwnProperty(PauseSource_['Focus'])) {
+      log_.info_('Window focus acquired. Starting.');
+      that.restartAfterDelay_(PauseSource_['Focus']);
+    }
+  };
+  window.addEventListener('focus', this.focusListener_, false);
+
+  this.blurListener_ = function() {
+    if (that.options_['pauseOnBlur']) {
+      log_.info_('Window lost focus. Pausing.');
+      that.suspend_(PauseSource_['Focus']);
+    }
+  };
+  window.addEventListener('blur', this.blurListener_, false);
+
+  // A supplied clock is controlled by the caller, so start timing frames
+  // right away instead of waiting for the page to settle.
+  if (this.options_['clock']) {
+    this.lastTicks_ = this.now_();
+    return;
+  }
+
+  // Start animations 1 second after the page loads to minimize hickups
+  this.loadDelayTimerId_ = setTimeout(function() {
+    that.loadDelayTimerId_ = 0;
+
+    var visible = document.visibilityState !== 'hidden';
+    var focused = !that.options_['pauseOnBlur'] || !document.hasFocus ||
+        document.hasFocus();
+    if (visible && focused)
+      that.lastTicks_ = that.now_();
+  }, that.options_.timerStartOnLoadDelayMs_);
+};
+
+
+/**
+ * Starts the update and render loops if the frameLoop option is set.
+ *
+ * @private
+ */
+Engine.prototype.startFrameLoop_ = function() {
+  if (!this.options_['frameLoop'])
+    return;
+
+  log_.info_('Beginning frame loop');
+
+  var that = this;
+  var realtimeUpdate = this.options_['updateInterval'] === 0;
+  var realtimeRender = this.options_['renderInterval'] === 0;
+
+  if (realtimeUpdate || realtimeRender)
+    this.run_(realtimeUpdate, realtimeRender);
+
+  if (!realtimeUpdate) {
+    this.updateThread_ = window.setInterval(function() {
+      if (!that.isPaused_())
+        that.update_();
+    }, this.options_['updateInterval']);
+  }
+
+  if (!realtimeRender) {
+    this.renderThread_ = window.setInterval(function() {
+      if (!that.isRenderingPaused_())
+        that.renderer_.render_();
+    }, this.options_['renderInterval']);
+  }
+};
+
+
+/**
+ * Stops the update and render loops.
+ *
+ * @private
+ */
+Engine.prototype.stopFrameLoop_ = function() {
+  if (this.updateThread_ !== -1)
+    window.clearInterval(this.updateThread_);
+  if (this.renderThread_ !== -1)
+    window.clearInterval(this.renderThread_);
+  if (this.realtimeThread_ !== -1)
+    window.cancelAnimationFrame(this.realtimeThread_);
+
+  this.updateThread_ = -1;
+  this.renderThread_ = -1;
+  this.realtimeThread_ = -1;
+};
+
+
+/**
+ * Stops the timer and pauses the engine until restartAfterDelay_ is called
+ * with the same source.
+ *
+ * @private
+ *
+ * @param {PauseSource_} source Reason for suspending.
+ */
+Engine.prototype.suspend_ = function(source) {
+  this.lastTicks_ = null;
+
+  var timerId = this.restartTimerIds_[source];
+  if (timerId) {
+    clearTimeout(timerId);
+    delete this.restartTimerIds_[source];
+  }
+
+  this.addPauseSource_(source, true);
+};
+
+
+/**
+ * Removes the callbacks and timers added by setupDeltaTimer_.
+ *
+ * @private
+ */
+Engine.prototype.tearDownDeltaTimer_ = function() {
+  log_.info_('Stopping timers.');
+
+  document.removeEventListener('visibilitychange',
+      this.visibilityChangeListener_, false);
+  window.removeEventListener('focus', this.focusListener_, false);
+  window.removeEventListener('blur', this.blurListener_, false);
+
+  this.visibilityChangeListener_ = null;
+  this.focusListener_ = null;
+  this.blurListener_ = null;
+
+  if (this.loadDelayTimerId_ !== 0) {
+    clearTimeout(this.loadDelayTimerId_);
+    this.loadDelayTimerId_ = 0;
+  }
+
+  for (var source in this.restartTimerIds_) {
+    if (this.restartTimerIds_.hasOwnProperty(source))
+      clearTimeout(this.restartTimerIds_[source]);
+  }
+  this.restartTimerIds_ = null;
+
+  this.lastTicks_ = null;
+};
+
+
+/**
+ * Runs one frame of update.
+ *
+ * @private
+ *
+ * @param {number=} opt_deltaTime Explicit seconds to advance by. If not
+ *     provided, the time is measured with the clock.
+ */
+Engine.prototype.update_ = function(opt_deltaTime) {
+  var profiler = this.profiler_;
+  var updateStartTime = profiler ? profiler.start_() : 0;
+
+  var explicitDeltaTime = typeof opt_deltaTime !== 'undefined';
+
+  // Calculate the time delta between this frame the last in seconds
+  var deltaTime = 0;
+  if (explicitDeltaTime) {
+    deltaTime = opt_deltaTime;
+  } else if (this.hasFocus_()) {
+    var currTicks = this.now_();
+    deltaTime = (currTicks - this.lastTicks_) / 1000.0;
+    this.lastTicks_ = currTicks;
+  }
+
+  this.frameDeltaTime_ = deltaTime;
+  this.dispatchFrameEvent_('beforeupdate');
+
+  // Update the HTML element tracker
+  var trackerStartTime = profiler ? profiler.start_() : 0;
+  this.tracker_.update_();
+  if (profiler) profiler.recordSection_('tracker', trackerStartTime);
+
+  this.updateRemovedElements_();
+  this.updateViewportVisibility_();
+
+  // Delta times from the caller or a supplied clock are used as is. Only
+  // real timers are smoothed.
+  if (this.options_['fixedTimestep'] > 0) {
+    this.updateFixedTimestep_(deltaTime);
+  } else if (explicitDeltaTime || this.options_['clock']) {
+    this.updateModels_(deltaTime);
+  } else {
+    // If the delta time is more than twice the last delta time,
+    // use the last delta time
+    if (deltaTime > this.lastDeltaTime_ * 2) {
+      var temp = this.lastDeltaTime_;
+      this.lastDeltaTime_ = deltaTime;
+      deltaTime = temp;
+    } else this.lastDeltaTime_ = deltaTime;
+
+    this.updateModels_(deltaTime);
+  }
+
+  // Tell the mouse detector to dispatch all frame-based events.
+  var mouseStartTime = profiler ? profiler.start_() : 0;
+  this.mouseDetector_.update_();
+  if (profiler) profiler.recordSection_('mouse', mouseStartTime);
+
+  this.dispatchFrameEvent_('afterupdate');
+
+  if (profiler) profiler.recordSection_('update', updateStartTime);
+};
+
+
+/**
+ * Runs zero or more constant sized updates to consume the elapsed time and
+ * then passes the leftover fraction of a step to the views.
+ *
+ * @private
+ *
+ * @param {number} deltaTime Seconds elapsed since the last frame.
+ */
+Engine.prototype.updateFixedTimestep_ = function(deltaTime) {
+  var step = this.options_['fixedTimestep'] / 1000.0;
+  var maxUpdates = this.options_['maxUpdatesPerFrame'];
+
+  this.accumulatedTime_ += deltaTime;
+
+  var numUpdates = 0;
+  while (this.accumulatedTime_ >= step && numUpdates < maxUpdates) {
+    this.updateModels_(step);
+    this.accumulatedTime_ -= step;
+    ++numUpdates;
+  }
+
+  // We fell too far behind. Drop the remaining time rather than trying to
+  // catch up next frame, which would only make the next frame slower.
+  if (this.accumulatedTime_ >= step)
+    this.accumulatedTime_ %= step;
+
+  var alpha = this.accumulatedTime_ / step;
+
+  var models = this.models_;
+  for (var modelIndex = 0, numModels = models.length; modelIndex < numModels;
+      ++modelIndex) {
+    var model = models[modelIndex];
+    var vars = model['privateModelProperties'];
+    if (vars.quarantined_ || !vars.enabled_)
+      continue;
+
+    var view = model['view'];
+    var stencilView = model['stencilView'];
+
+    try {
+      if (view) view['interpolate'](alpha);
+      if (stencilView) stencilView['interpolate'](alpha);
+    } catch (e) {
+      this.handleModelError_(model, 'interpolate', e);
+    }
+  }
+};
+
+
+/**
+ * Calls update on each model.
+ *
+ * @private
+ *
+ * @param {number} deltaTime Seconds to advance each model.
+ */
+Engine.prototype.updateModels_ = function(deltaTime) {
+  deltaTime *= this.timeScale_;
+
+  var profiler = this.profiler_;
+
+  // Iterate over a copy so that models may destroy themselves or others.
+  var models = this.models_.slice(0);
+  for (var modelIndex = 0, numModels = models.length; modelIndex < numModels;
+      ++modelIndex) {
+    var model = models[modelIndex];
+    var vars = model['privateModelProperties'];
+    if (vars.quarantined_ || !vars.dispatcher_ || !vars.enabled_)
+      continue;
+
+    // Models out of view may skip updates depending on their policy. Throttled
+    // models receive all of the time they skipped in their next update.
+    var modelDeltaTime = deltaTime;
+    var offscreenUpdate = model['offscreenUpdate'];
+    if (!vars.inViewport_ && offscreenUpdate !== 'full') {
+      if (offscreenUpdate === 'none')
+        continue;
+
+      vars.offscreenTime_ += deltaTime;
+      if (vars.offscreenTime_ < Engine.offscreenUpdateInterval_)
+        continue;
+
+      modelDeltaTime = 0;
+    }
+
+    modelDeltaTime += vars.offscreenTime_;
+    vars.offscreenTime_ = 0;
+
+    var startTime = profiler ? profiler.start_() : 0;
+
+    try {
+      model.update(modelDeltaTime * model['timeScale']);
+    } catch (e) {
+      this.handleModelError_(model, 'update', e);
+    }
+
+    if (profiler) profiler.recordModel_(model, startTime);
+  }
+};
+
+
+/**
+ * Fires detached on models whose attached elements were removed from the
+ * document, and destroys the models that asked to be destroyed.
+ *
+ * @private
+ */
+Engine.prototype.updateRemovedElements_ = function() {
+  var voodooEvent = window['voodoo']['Event'];
+
+  // Iterate over a copy so that models may be destroyed.
+  var models = this.models_.slice(0);
+  for (var modelIndex = 0, numModels = models.length; modelIndex < numModels;
+      ++modelIndex) {
+    var model = models[modelIndex];
+    var vars = model['privateModelProperties'];
+    if (vars.quarantined_ || !vars.dispatcher_)
+      continue;
+
+    var removed = false;
+    var destroy = false;
+    var views = vars.views_;
+    for (var i = 0, numViews = views.length; i < numViews; ++i) {
+      var scene = views[i]['scene'];
+      if (scene.elementRemoved_) {
+        removed = true;
+        destroy = destroy || scene.destroyOnRemove_;
+      }
+    }
+
+    if (removed === vars.elementRemoved_)
+      continue;
+
+    vars.elementRemoved_ = removed;
+    if (!removed)
+      continue;
+
+    vars.dispatcher_.dispatchEvent_(model, new voodooEvent('detached',
+        model));
+
+    // The listener may have destroyed the model already.
+    if (destroy && vars.dispatcher_)
+      model['destroy']();
+  }
+};
+
+
+/**
+ * Finds which models can be seen in the viewport and fires enterviewport and
+ * leaveviewport on the models that changed. Models that don't update fully
+ * are hidden while out of view. Models that update fully and don't listen
+ * for either event are skipped.
+ *
+ * @private
+ */
+Engine.prototype.updateViewportVisibility_ = function() {
+  var renderer = this.renderer_;
+  var position = renderer.viewportPosition_;
+  var size = renderer.viewportSize_;
+
+  var voodooEvent = window['voodoo']['Event'];
+
+  // Iterate over a copy so that listeners may destroy models.
+  var models = this.models_.slice(0);
+  for (var modelIndex = 0, numModels = models.length; modelIndex < numModels;
+      ++modelIndex) {
+    var model = models[modelIndex];
+    var vars = model['privateModelProperties'];
+    if (vars.quarantined_ || !vars.dispatcher_)
+      continue;
+
+    // Only models that act on it need to know whether they are in view.
+    var dispatcher = vars.dispatcher_;
+    var offscreenUpdate = model['offscreenUpdate'];
+    if (offscreenUpdate === 'full' &&
+        !dispatcher.hasListeners_('enterviewport') &&
+        !dispatcher.hasListeners_('leaveviewport'))
+      continue;
+
+    var views = vars.views_;
+    var inViewport = views.length === 0;
+    for (var i = 0, numViews = views.length; i < numViews; ++i) {
+      if (views[i]['scene'].isInViewport_(position, size)) {
+        inViewport = true;
+        break;
+      }
+    }
+
+    // Models that don't update fully offscreen may be stale, so they
+    // aren't rendered either.
+    var hidden = !inViewport && offscreenUpdate !== 'full';
+    var allViews = views.concat(vars.stencilViews_);
+    for (var allViewIndex = 0, numAllViews = allViews.length;
+        allViewIndex < numAllViews; ++allViewIndex)
+      allViews[allViewIndex]['scene'].setOffscreen_(hidden);
+
+    if (inViewport !== vars.inViewport_) {
+      vars.inViewport_ = inViewport;
+
+      var type = inViewport ? 'enterviewport' : 'leaveviewport';
+      dispatcher.dispatchEvent_(model, new voodooEvent(type, model));
+    }
+  }
+};
+
+
+/**
+ * Checks that the options are valid.
+ *
+ * @private
+ */
+Engine.prototype.validateOptions_ = function() {
+  // Check that there is at least one layer
+  if (!this.options_['aboveLayer'] &&
+      !this.options_['belowLayer']) {
+    log_.error_('At least one layer must be enabled.',
+        '(Engine::validateOptions_)');
+  }
+
+  // Check that a fixed timestep can make progress
+  if (this.options_['fixedTimestep'] > 0 &&
+      this.options_['maxUpdatesPerFrame'] < 1) {
+    log_.error_('maxUpdatesPerFrame must be at least 1.',
+        '(Engine::validateOptions_)');
+  }
+
+  // Check that the container is an element
+  var container = this.options_['container'];
+  if (container && container.nodeType !== Node.ELEMENT_NODE) {
+    log_.error_('container must be an HTML element.',
+        '(Engine::validateOptions_)');
+  }
+};
+
+
+/**
+ * Window blur listener.
+ *
+ * @private
+ * @type {?function()}
+ */
+Engine.prototype.blurListener_ = null;
+
+
+/**
+ * Window focus listener.
+ *
+ * @private
+ * @type {?function()}
+ */
+Engine.prototype.focusListener_ = null;
+
+
+/**
+ * Seconds elapsed during the most recent update, before time scaling.
+ *
+ * @private
+ * @type {number}
+ */
+Engine.prototype.frameDeltaTime_ = 0;
+
+
+/**
+ * Timer that starts the clock shortly after the page loads.
+ *
+ * @private
+ * @type {number}
+ */
+Engine.prototype.loadDelayTimerId_ = 0;
+
+
+/**
+ * Number of mouse event listeners that existed when the engine was created.
+ *
+ * @private
+ * @type {number}
+ */
+Engine.prototype.initialNumMouseEventListeners_ = 0;
+
+
+/**
+ * Time of the last frame in milliseconds, or null while the timer is stopped.
+ *
+ * @private
+ * @type {?number}
+ */
+Engine.prototype.lastTicks_ = null;
+
+
+/**
+ * The main mouse event detector.
+ *
+ * @private
+ * @type {MouseDetector_}
+ */
+Engine.prototype.mouseDetector_ = null;
+
+
+/**
+ * Number of models that have been added, used to order models with the same
+ * update priority.
+ *
+ * @private
+ * @type {number}
+ */
+Engine.prototype.numModelsAdded_ = 0;
+
+
+/**
+ * Models by id.
+ *
+ * @private
+ * @type {Object.<number, Model>}
+ */
+Engine.prototype.modelsById_ = null;
+
+
+/**
+ * Models by type name.
+ *
+ * @private
+ * @type {Object.<string, Array.<Model>>}
+ */
+Engine.prototype.modelsByName_ = null;
+
+
+/**
+ * Models by tag.
+ *
+ * @private
+ * @type {Object.<string, Array.<Model>>}
+ */
+Engine.prototype.modelsByTag_ = null;
+
+
+/**
+ * Cache factory for all model objects.
+ *
+ * @private
+ * @type {CacheFactory_}
+ */
+Engine.prototype.modelCacheFactory_ = null;
+
+
+/**
+ * The options for this engine.
+ *
+ * @private
+ * @type {Options}
+ */
+Engine.prototype.options_ = null;
+
+
+/**
+ * The active reasons the engine is paused, mapped to whether each also
+ * pauses rendering.
+ *
+ * @private
+ * @type {Object.<PauseSource_, boolean>}
+ */
+Engine.prototype.pauseSources_ = null;
+
+
+/**
+ * Measures frame rates and timings.
+ *
+ * @private
+ * @type {Profiler_}
+ */
+Engine.prototype.profiler_ = null;
+
+
+/**
+ * The main raycaster.
+ *
+ * @private
+ * @type {Raycaster_}
+ */
+Engine.prototype.raycaster_ = null;
+
+
+/**
+ * The main renderer.
+ *
+ * @private
+ * @type {RenderingEngine_}
+ */
+Engine.prototype.renderer_ = null;
+
+
+/**
+ * The antialias option the user asked for, which the renderer may turn off.
+ *
+ * @private
+ * @type {boolean}
+ */
+Engine.prototype.requestedAntialias_ = true;
+
+
+/**
+ * The seamLayer option the user asked for, which the renderer may turn off.
+ *
+ * @private
+ * @type {boolean}
+ */
+Engine.prototype.requestedSeamLayer_ = true;
+
+
+/**
+ * Pending timers that remove a pause source after a delay.
+ *
+ * @private
+ * @type {Object.<PauseSource_, number>}
+ */
+Engine.prototype.restartTimerIds_ = null;
+
+
+/**
+ * The ambient and camera lights created by the standardLighting option.
+ *
+ * @private
+ * @type {Array.<Model>}
+ */
+Engine.prototype.standardLights_ = null;
+
+
+/**
+ * The global multiplier applied to model delta times.
+ *
+ * @private
+ * @type {number}
+ */
+Engine.prototype.timeScale_ = 1;
+
+
+/**
+ * The HTML element tracker.
+ *
+ * @private
+ * @type {Tracker_}
+ */
+Engine.prototype.tracker_ = null;
+
+
+/**
+ * Document visibilitychange listener.
+ *
+ * @private
+ * @type {?function()}
+ */
+Engine.prototype.visibilityChangeListener_ = null;
+
+
+/**
+ * Adds a model to the list stored under a key.
+ *
+ * @private
+ *
+ * @param {Object.<string, Array.<Model>>} index Models by key.
+ * @param {string} key Key to add the model under.
+ * @param {Model} model Model to add.
+ */
+Engine.addToIndex_ = function(index, key, model) {
+  if (index.hasOwnProperty(key))
+    index[key].push(model);
+  else index[key] = [model];
+};
+
+
+/**
+ * Compares two models by update priority and then by the order they were
+ * added to the engine.
+ *
+ * @private
+ *
+ * @param {Model} a First model.
+ * @param {Model} b Second model.
+ *
+ * @return {number} Negative if a updates first, positive if b does.
+ */
+Engine.compareModels_ = function(a, b) {
+  var aVars = a['privateModelProperties'];
+  var bVars = b['privateModelProperties'];
+  var priorities = Engine.updatePriorities_;
+
+  return (priorities[aVars.updatePriority_] -
+      priorities[bVars.updatePriority_]) || (aVars.addOrder_ - bVars.addOrder_);
+};
+
+
+/**
+ * Returns the list of models stored under a key.
+ *
+ * @private
+ *
+ * @param {Object.<string, Array.<Model>>} index Models by key.
+ * @param {string} key Key to look up.
+ *
+ * @return {Array.<Model>} The models, which must not be modified.
+ */
+Engine.lookUpIndex_ = function(index, key) {
+  return index.hasOwnProperty(key) ? index[key] : [];
+};
+
+
+/**
+ * Removes a model from the list stored under a key.
+ *
+ * @private
+ *
+ * @param {Object.<string, Array.<Model>>} index Models by key.
+ * @param {string} key Key the model is under.
+ * @param {Model} model Model to remove.
+ */
+Engine.removeFromIndex_ = function(index, key, model) {
+  if (!index.hasOwnProperty(key))
+    return;
+
+  var models = index[key];
+  var modelIndex = models.indexOf(model);
+  if (modelIndex !== -1)
+    models.splice(modelIndex, 1);
+  if (models.length === 0)
+    delete index[key];
+};
+
+
+/**
+ * Seconds between updates of throttled models that are out of view.
+ *
+ * @private
+ * @const
+ * @type {number}
+ */
+Engine.offscreenUpdateInterval_ = 0.25;
+
+
+/**
+ * Order of each model update priority.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, number>}
+ */
+Engine.updatePriorities_ = {
+  'early': 0,
+  'normal': 1,
+  'late': 2
+};
 
 
 /**
@@ -42,6 +42,78 @@ var defaultOrganization_ = '*';
 var Model = Extendable['extend']();
 
 
+/**
+ * Makes another model a child of this one. The child's views are placed in
+ * this model's local coordinate system on every layer, so the child moves
+ * with this model. Children update after their parents and are destroyed
+ * with them. If the child already has a parent, it is removed from it first.
+ * Children may be added from initialize. Adding a model that must update
+ * before this one, such as an ancestor, throws.
+ *
+ * @this {Model}
+ *
+ * @param {Model} child Model to add.
+ *
+ * @return {Model} This.
+ */
+Model.prototype['addChild'] = function(child) {
+  log_.assert_(child, 'child must be valid.', '(Model::addChild)');
+
+  if (child === this || Model.isUpdatedBefore_(child, this)) {
+    log_.error_(
+        'A model cannot be a child of a model that must update after it.',
+        '(Model::addChild)');
+  }
+
+  var vars = this['privateModelProperties'];
+  var childVars = child['privateModelProperties'];
+  if (childVars.parent_ === this)
+    return this;
+
+  if (childVars.parent_)
+    childVars.parent_['removeChild'](child);
+
+  childVars.parent_ = this;
+  vars.children_.push(child);
+  child.linkViews_();
+
+  window['voodoo']['engine'].sortModels_();
+
+  var evt = new window['voodoo']['Event']('childadded', this);
+  evt['object'] = child;
+  vars.dispatcher_.dispatchEvent_(this, evt);
+
+  return this;
+};
+
+
+/**
+ * Adds a tag that engine.findModels can search for.
+ *
+ * @this {Model}
+ *
+ * @param {string} tag Tag to add.
+ *
+ * @return {Model} This.
+ */
+Model.prototype['addTag'] = function(tag) {
+  log_.assert_(typeof tag === 'string', 'tag must be a string.', tag,
+      '(Model::addTag)');
+
+  var vars = this['privateModelProperties'];
+  if (vars.tags_.indexOf(tag) !== -1)
+    return this;
+
+  vars.tags_.push(tag);
+
+  var engine = window['voodoo']['engine'];
+  if (engine && engine['getModel'](vars.modelId_) === this)
+    engine.addModelTag_(this, tag);
+
+  return this;
+};
+
+
 /**
  * Cleans up resources before the model is destroyed.
  *
@@ -77,17 +149,117 @@ Model.prototype['construct'] = function(opt_options) {
     log_.error_('View must exist on at least one layer.', '(Model::Model)');
   }
 
+  var offscreenUpdate = this['offscreenUpdate'];
+  if (offscreenUpdate !== 'full' && offscreenUpdate !== 'throttled' &&
+      offscreenUpdate !== 'none') {
+    log_.error_('offscreenUpdate must be full, throttled, or none.',
+        offscreenUpdate, '(Model::Model)');
+  }
+
   this['stencilViewType'] = this['stencilViewType'] || this['viewType'];
 
   var vars = this['privateModelProperties'] = {};
 
-  // Sets the identifier used for the model in logging.
-  var id = '<' + (++nextModelId_) + ',';
+  // Sets the public id and the identifier used for the model in logging.
+  var modelId = vars.modelId_ = ++nextModelId_;
+  Object.defineProperty(this, 'id', {
+    get: function() { return modelId; },
+    enumerable: true
+  });
+
+  var id = '<' + modelId + ',';
   if (this['organization'] !== defaultOrganization_)
     id += this['organization'] + '.';
   id += this['name'] + '>';
   vars['id'] = id;
 
+  vars.parent_ = null;
+  vars.children_ = [];
+
+  // Children may be added during initialize, before there are any views to
+  // link them to.
+  vars.views_ = [];
+  vars.stencilViews_ = [];
+  Object.defineProperty(this, 'parent', {
+    get: function() { return vars.parent_; },
+    enumerable: true
+  });
+  Object.defineProperty(this, 'children', {
+    get: function() { return vars.children_.slice(0); },
+    enumerable: true
+  });
+
+  vars.tags_ = [];
+  var that = this;
+  Object.defineProperty(this, 'tags', {
+    get: function() { return vars.tags_.slice(0); },
+    set: function(tags) {
+      var oldTags = vars.tags_.slice(0);
+      for (var oldIndex = 0, numOldTags = oldTags.length;
+          oldIndex < numOldTags; ++oldIndex)
+        that['removeTag'](oldTags[oldIndex]);
+      for (var newIndex = 0, numNewTags = tags.length; newIndex < numNewTags;
+          ++newIndex)
+        that['addTag'](tags[newIndex]);
+    },
+    enumerable: true
+  });
+
+  vars.dependencies_ = [];
+  vars.dependents_ = [];
+  Object.defineProperty(this, 'dependencies', {
+    get: function() { return vars.dependencies_.slice(0); },
+    enumerable: true
+  });
+
+  var updatePriority = this['updatePriority'];
+  Object.defineProperty(this, 'updatePriority', {
+    get: function() { return vars.updatePriority_; },
+    set: function(updatePriority) {
+      if (!Engine.updatePriorities_.hasOwnProperty(updatePriority)) {
+        log_.error_('updatePriority must be early, normal, or late.',
+            updatePriority, '(Model::updatePriority)');
+      }
+
+      if (updatePriority === vars.updatePriority_)
+        return;
+
+      vars.updatePriority_ = updatePriority;
+      var engine = window['voodoo']['engine'];
+      if (engine && engine['getModel'](modelId) === that)
+        engine.sortModels_();
+    },
+    enumerable: true
+  });
+  this['updatePriority'] = updatePriority;
+
+  vars.enabled_ = !!this['enabled'];
+  Object.defineProperty(this, 'enabled', {
+    get: function() { return vars.enabled_; },
+    set: function(enabled) {
+      enabled = !!enabled;
+      if (enabled === vars.enabled_)
+        return;
+
+      vars.enabled_ = enabled;
+      that.enableViews_();
+
+      // A disabled model can't stay under the mouse.
+      if (!enabled)
+        window['voodoo']['engine'].mouseDetector_.releaseModel_(that, true);
+
+      var evt = new window['voodoo']['Event'](enabled ? 'enable' : 'disable',
+          that);
+      vars.dispatcher_.dispatchEvent_(that, evt);
+    },
+    enumerable: true
+  });
+
+  // Models start out assumed to be visible until the engine checks.
+  vars.inViewport_ = true;
+  vars.offscreenTime_ = 0;
+  vars.elementRemoved_ = false;
+
   log_.model_(this, 'Constructing');
 
   // If no engine has been created, create one with default options.
@@ -98,7 +270,17 @@ Model.prototype['construct'] = function(opt_options) {
   /** @type {Engine} */
   var engine = voodoo['engine'];
 
-  vars.dispatcher_ = new Dispatcher_();
+  // Exceptions thrown by listeners are reported instead of propagated so
+  // that one bad listener cannot break the rest of the page.
+  // An exception from an error listener is only logged, since reporting it
+  // would fire the error event again.
+  vars.dispatcher_ = new Dispatcher_(function(error, event) {
+    if (event['type'] === 'error') {
+      log_.warn_(vars['id'], 'Caught exception in error listener:', error);
+      return;
+    }
+    engine.handleModelError_(that, 'listener', error);
+  });
 
   var cache = vars.cache_ = engine.modelCacheFactory_.createCache_(this);
   Object.defineProperty(this, 'cache', {
@@ -107,84 +289,35 @@ Model.prototype['construct'] = function(opt_options) {
   });
 
   var options = opt_options || {};
-  this['initialize'](options);
-
-  var views = vars.views_ = [];
-  var stencilViews = vars.stencilViews_ = [];
-  vars.numViewsLoaded_ = 0;
-  vars.numViewsToLoad_ = 0;
+  this.createProperties_(options);
+  try {
+    this['initialize'](options);
+  } catch (e) {
+    engine.handleModelError_(this, 'initialize', e);
+  }
 
   Object.defineProperty(this, 'loaded', {
     get: function() { return vars.numViewsLoaded_ === vars.numViewsToLoad_; },
     enumerable: true
   });
 
-  // Create views, one for each layer and one additional for the stencil layer.
-  var nonuniqueStencilView = this['stencilViewType'] === this['viewType'];
-  var viewPrototype = this['viewType'].prototype;
-  var viewSupportsAbove = viewPrototype['above'];
-  var viewSupportsBelow = viewPrototype['below'];
-
-  var layers = engine.renderer_.layers_;
-  for (var layerIndex = 0, numLayers = layers.length; layerIndex < numLayers;
-      ++layerIndex) {
-    var layer = layers[layerIndex];
-
-    switch (layer.pass_) {
-      case LayerPass_['Above']:
-        if (viewSupportsAbove)
-          views.push(new this['viewType'](this, layer));
-        break;
-      case LayerPass_['Below']:
-        if (viewSupportsBelow)
-          views.push(new this['viewType'](this, layer));
-        break;
-      case LayerPass_['Seam']:
-        // If the model has content in the above layer, it MUST be added
-        // to the seam layer to work with the stencil tests against other
-        // models in the seam layer.
-        if (viewSupportsAbove)
-          views.push(new this['viewType'](this, layer));
-        break;
-      case LayerPass_['BelowStencil']:
-        if (viewSupportsBelow) {
-          if (nonuniqueStencilView)
-            views.push(new this['viewType'](this, layer));
-          else
-            stencilViews.push(new this['stencilViewType'](this, layer));
-        }
-        break;
-      case LayerPass_['SeamStencil']:
-        if (viewSupportsBelow) {
-          if (nonuniqueStencilView)
-            views.push(new this['viewType'](this, layer));
-          else
-            stencilViews.push(new this['stencilViewType'](this, layer));
-        }
-        break;
-    }
-  }
-
-  var numViews = views.length;
-  var numStencilViews = stencilViews.length;
-
-  // Create composite view and stencil views if there are more than one.
-  var view = vars.view_ = numViews > 1 ? new Composite_(views) : views[0];
-  var stencilView = vars.stencilView_ = numStencilViews > 1 ?
-      new Composite_(stencilViews) : stencilViews[0];
-
-  vars.numViewsToLoad_ = numViews + numStencilViews;
-
   Object.defineProperty(this, 'view', {
-    get: function() { return view; },
+    get: function() { return vars.view_; },
     enumerable: true
   });
 
   Object.defineProperty(this, 'stencilView', {
-    get: function() { return stencilView; },
+    get: function() { return vars.stencilView_; },
     enumerable: true
   });
 
+  this.createViews_(engine);
+
+  // Children added during initialize had no views to go in until now.
+  var children = vars.children_;
+  for (var i = 0, len = children.length; i < len; ++i)
+    children[i].linkViews_();
+
   this['setUpViews']();
 
   // Add this model to the engine to be updated
@@ -192,6 +325,37 @@ Model.prototype['construct'] = function(opt_options) {
 };
 
 
+/**
+ * Makes this model update after another one each frame, whatever their
+ * update priorities. Depending on a model that must update after this one,
+ * such as a descendant, throws.
+ *
+ * @this {Model}
+ *
+ * @param {Model} model Model to update first.
+ *
+ * @return {Model} This.
+ */
+Model.prototype['dependsOn'] = function(model) {
+  log_.assert_(model, 'model must be valid.', '(Model::dependsOn)');
+  if (model === this || Model.isUpdatedBefore_(this, model)) {
+    log_.error_('A model cannot depend on a model that must update after it.',
+        '(Model::dependsOn)');
+  }
+
+  var vars = this['privateModelProperties'];
+  if (vars.dependencies_.indexOf(model) !== -1)
+    return this;
+
+  vars.dependencies_.push(model);
+  model['privateModelProperties'].dependents_.push(this);
+
+  window['voodoo']['engine'].sortModels_();
+
+  return this;
+};
+
+
 /**
  * Destroys the model and all its views. This should not be overridden.
  *
@@ -206,16 +370,30 @@ Model.prototype['destroy'] = function() {
   var evt = new voodoo['Event']('destroy', this);
   vars.dispatcher_.dispatchEvent_(this, evt);
 
+  // Children go first since their views are inside ours.
+  var children = vars.children_.slice(0);
+  for (var i = 0, len = children.length; i < len; ++i)
+    children[i]['destroy']();
+
+  if (vars.parent_)
+    vars.parent_['removeChild'](this);
+
+  var dependencies = vars.dependencies_.slice(0);
+  for (var dependencyIndex = 0, numDependencies = dependencies.length;
+      dependencyIndex < numDependencies; ++dependencyIndex)
+    this['removeDependency'](dependencies[dependencyIndex]);
+
+  var dependents = vars.dependents_.slice(0);
+  for (var dependentIndex = 0, numDependents = dependents.length;
+      dependentIndex < numDependents; ++dependentIndex)
+    dependents[dependentIndex]['removeDependency'](this);
+
   this['tearDownViews']();
 
   // Remove this model from the engine to stop being updated
   voodoo['engine'].removeModel_(this);
 
-  var view = vars.view_;
-  var stencilView = vars.stencilView_;
-
-  if (view && view['destroy']) view['destroy']();
-  if (stencilView && stencilView['destroy']) stencilView['destroy']();
+  this.destroyViews_();
 
   this['cleanUp']();
 
@@ -279,8 +457,11 @@ Model.prototype['off'] = function(type, listener) {
 
 
 /**
- * Adds an event handler. Valid events are cameramove, destroy, mousedown,
- * mouseup, mouseover, mouseout, mousemove, click, and dblclick.
+ * Adds an event handler. Valid events are cameramove, childadded,
+ * childremoved, change, change:<name>, destroy, detached, disable, enable,
+ * error, enterviewport, leaveviewport, mousedown, mouseup, mouseover,
+ * mouseout, mousemove, click, and dblclick.
+ * The child events carry the child in their object field.
  *
  * @this {Model}
  *
@@ -303,6 +484,90 @@ Model.prototype['on'] = function(type, listener) {
 };
 
 
+/**
+ * Removes a child added with addChild. The child's views return to the page's
+ * coordinate system.
+ *
+ * @this {Model}
+ *
+ * @param {Model} child Child to remove.
+ *
+ * @return {Model} This.
+ */
+Model.prototype['removeChild'] = function(child) {
+  log_.assert_(child, 'child must be valid.', '(Model::removeChild)');
+
+  var vars = this['privateModelProperties'];
+  var index = vars.children_.indexOf(child);
+  if (index === -1)
+    return this;
+
+  vars.children_.splice(index, 1);
+  child['privateModelProperties'].parent_ = null;
+  child.linkViews_();
+
+  window['voodoo']['engine'].sortModels_();
+
+  var evt = new window['voodoo']['Event']('childremoved', this);
+  evt['object'] = child;
+  vars.dispatcher_.dispatchEvent_(this, evt);
+
+  return this;
+};
+
+
+/**
+ * Removes a dependency added with dependsOn.
+ *
+ * @this {Model}
+ *
+ * @param {Model} model Model to stop depending on.
+ *
+ * @return {Model} This.
+ */
+Model.prototype['removeDependency'] = function(model) {
+  log_.assert_(model, 'model must be valid.', '(Model::removeDependency)');
+
+  var vars = this['privateModelProperties'];
+  var index = vars.dependencies_.indexOf(model);
+  if (index === -1)
+    return this;
+
+  vars.dependencies_.splice(index, 1);
+  var dependents = model['privateModelProperties'].dependents_;
+  dependents.splice(dependents.indexOf(this), 1);
+
+  window['voodoo']['engine'].sortModels_();
+
+  return this;
+};
+
+
+/**
+ * Removes a tag added with addTag.
+ *
+ * @this {Model}
+ *
+ * @param {string} tag Tag to remove.
+ *
+ * @return {Model} This.
+ */
+Model.prototype['removeTag'] = function(tag) {
+  var vars = this['privateModelProperties'];
+  var index = vars.tags_.indexOf(tag);
+  if (index === -1)
+    return this;
+
+  vars.tags_.splice(index, 1);
+
+  var engine = window['voodoo']['engine'];
+  if (engine && engine['getModel'](vars.modelId_) === this)
+    engine.removeModelTag_(this, tag);
+
+  return this;
+};
+
+
 /**
  * Initialize the view and stencilView. This is called after initialize() when
  * a model is instantiated. Derived classes may override this. This should never
@@ -356,6 +621,31 @@ Model.prototype['update'] = function(deltaTime) {
 Model.prototype['cache'] = null;
 
 
+/**
+ * Readonly copy of the models added with addChild.
+ *
+ * @type {Array.<Model>}
+ */
+Model.prototype['children'] = null;
+
+
+/**
+ * Readonly copy of the models added with dependsOn.
+ *
+ * @type {Array.<Model>}
+ */
+Model.prototype['dependencies'] = null;
+
+
+/**
+ * Readonly number that identifies the model. It is unique among the models
+ * of an engine and can be passed to engine.getModel.
+ *
+ * @type {number}
+ */
+Model.prototype['id'] = 0;
+
+
 /**
  * Readonly property indicating whether all views have finished loading.
  *
@@ -364,6 +654,23 @@ Model.prototype['cache'] = null;
 Model.prototype['loaded'] = false;
 
 
+/**
+ * Readonly model this is a child of, or null.
+ *
+ * @type {Model}
+ */
+Model.prototype['parent'] = null;
+
+
+/**
+ * Tags that engine.findModels can search for. Reading this returns a copy.
+ * Assigning replaces all of the tags.
+ *
+ * @type {Array.<string>}
+ */
+Model.prototype['tags'] = null;
+
+
 /**
  * The composite stencil view for this model.
  *
@@ -380,6 +687,66 @@ Model.prototype['stencilView'] = null;
 Model.prototype['view'] = null;
 
 
+/**
+ * Whether the model is active. A disabled model is not updated, its views
+ * are hidden on every layer, and it does not receive mouse events. Its views
+ * stay loaded so that enabling it again is instant. The enable and disable
+ * events fire when this changes. It may be set from initialize.
+ *
+ * Children's views are inside their parent's, so they are hidden and ignore
+ * the mouse along with it. They keep updating unless they are disabled too.
+ *
+ * Default is true.
+ *
+ * @type {boolean}
+ */
+Model.prototype['enabled'] = true;
+
+
+/**
+ * How the model updates while none of it can be seen in the viewport. With
+ * 'full', the model updates every frame. With 'throttled', the model updates
+ * a few times a second and is passed all of the time since its last update.
+ * With 'none', the model stops updating until it comes back into view.
+ * Throttled and stopped models aren't rendered while out of view.
+ *
+ * A model is out of view when its attached elements are outside the viewport
+ * or scrolled out of sight, or when none of its meshes are inside the
+ * camera's view frustum. The enterviewport and leaveviewport events fire when
+ * this changes.
+ *
+ * Default is 'full'.
+ *
+ * @type {string}
+ */
+Model.prototype['offscreenUpdate'] = 'full';
+
+
+/**
+ * Multiplier applied to the deltaTime passed to this model's update, on top
+ * of the engine's timeScale. Set this to 0 to freeze the model or above 1 to
+ * speed it up.
+ *
+ * Default is 1.
+ *
+ * @type {number}
+ */
+Model.prototype['timeScale'] = 1;
+
+
+/**
+ * When the model updates each frame relative to other models. Models with
+ * 'early' update first and models with 'late' update last. Children still
+ * update after their parents, and models still update after the models they
+ * depend on.
+ *
+ * Default is 'normal'.
+ *
+ * @type {string}
+ */
+Model.prototype['updatePriority'] = 'normal';
+
+
 /**
  * Called from the view when it has loaded.
  *
@@ -402,6 +769,247 @@ Model.prototype['onViewLoad'] = function(view) {
 };
 
 
+/**
+ * Creates accessors for the properties declared in the properties block.
+ * Each starts with the option of the same name if given, or its default.
+ *
+ * @private
+ *
+ * @param {Object} options Options passed to the constructor.
+ */
+Model.prototype.createProperties_ = function(options) {
+  var vars = this['privateModelProperties'];
+  var values = vars.properties_ = {};
+  var properties = this['properties'];
+  var that = this;
+
+  var createProperty = function(name, spec) {
+    Object.defineProperty(that, name, {
+      get: function() { return values[name]; },
+      set: function(value) {
+        value = Model.convertProperty_(name, spec, value);
+
+        var previousValue = values[name];
+        if (value === previousValue)
+          return;
+
+        values[name] = value;
+        that.propertyChanged_(name, value, previousValue);
+      },
+      enumerable: true
+    });
+
+    var value = typeof options[name] !== 'undefined' ? options[name] :
+        spec['value'];
+    values[name] = Model.convertProperty_(name, spec, value);
+  };
+
+  for (var name in properties) {
+    if (!properties.hasOwnProperty(name))
+      continue;
+
+    // Declared properties would hide the model's own members.
+    if (name in Model.prototype) {
+      log_.error_('Property name is reserved by the model.', name,
+          '(Model::createProperties_)');
+    }
+
+    createProperty(name, Model.createPropertySpec_(properties[name]));
+  }
+};
+
+
+/**
+ * Creates a view for each layer that the view type supports.
+ *
+ * @private
+ *
+ * @param {Engine} engine Engine whose layers the views are created on.
+ */
+Model.prototype.createViews_ = function(engine) {
+  var vars = this['privateModelProperties'];
+
+  var views = vars.views_ = [];
+  var stencilViews = vars.stencilViews_ = [];
+  vars.numViewsLoaded_ = 0;
+  vars.numViewsToLoad_ = 0;
+
+  // Create views, one for each layer and one additional for the stencil layer.
+  var nonuniqueStencilView = this['stencilViewType'] === this['viewType'];
+  var viewPrototype = this['viewType'].prototype;
+  var viewSupportsAbove = viewPrototype['above'];
+  var viewSupportsBelow = viewPrototype['below'];
+
+  var layers = engine.renderer_.layers_;
+  for (var layerIndex = 0, numLayers = layers.length; layerIndex < numLayers;
+      ++layerIndex) {
+    var layer = layers[layerIndex];
+
+    switch (layer.pass_) {
+      case LayerPass_['Above']:
+        if (viewSupportsAbove)
+          views.push(new this['viewType'](this, layer));
+        break;
+      case LayerPass_['Below']:
+        if (viewSupportsBelow)
+          views.push(new this['viewType'](this, layer));
+        break;
+      case LayerPass_['Seam']:
+        // If the model has content in the above layer, it MUST be added
+        // to the seam layer to work with the stencil tests against other
+        // models in the seam layer.
+        if (viewSupportsAbove)
+          views.push(new this['viewType'](this, layer));
+        break;
+      case LayerPass_['BelowStencil']:
+        if (viewSupportsBelow) {
+          if (nonuniqueStencilView)
+            views.push(new this['viewType'](this, layer));
+          else
+            stencilViews.push(new this['stencilViewType'](this, layer));
+        }
+        break;
+      case LayerPass_['SeamStencil']:
+        if (viewSupportsBelow) {
+          if (nonuniqueStencilView)
+            views.push(new this['viewType'](this, layer));
+          else
+            stencilViews.push(new this['stencilViewType'](this, layer));
+        }
+        break;
+    }
+  }
+
+  var numViews = views.length;
+  var numStencilViews = stencilViews.length;
+
+  // Create composite view and stencil views if there are more than one.
+  vars.view_ = numViews > 1 ? new Composite_(views) : views[0];
+  vars.stencilView_ = numStencilViews > 1 ?
+      new Composite_(stencilViews) : stencilViews[0];
+
+  vars.numViewsToLoad_ = numViews + numStencilViews;
+
+  this.enableViews_();
+};
+
+
+/**
+ * Destroys all of the model's views.
+ *
+ * @private
+ */
+Model.prototype.destroyViews_ = function() {
+  var vars = this['privateModelProperties'];
+
+  var view = vars.view_;
+  var stencilView = vars.stencilView_;
+
+  if (view && view['destroy']) view['destroy']();
+  if (stencilView && stencilView['destroy']) stencilView['destroy']();
+
+  vars.views_ = [];
+  vars.stencilViews_ = [];
+  vars.view_ = null;
+  vars.stencilView_ = null;
+};
+
+
+/**
+ * Shows or hides each of the model's views to match whether it is enabled.
+ *
+ * @private
+ */
+Model.prototype.enableViews_ = function() {
+  var vars = this['privateModelProperties'];
+  var views = vars.views_.concat(vars.stencilViews_);
+
+  for (var i = 0, len = views.length; i < len; ++i)
+    views[i]['scene'].setEnabled_(vars.enabled_);
+};
+
+
+/**
+ * Places each of the model's views inside its parent's view on the same
+ * layer, or back in the page's coordinate system if there is no parent.
+ *
+ * @private
+ */
+Model.prototype.linkViews_ = function() {
+  var vars = this['privateModelProperties'];
+  var views = vars.views_.concat(vars.stencilViews_);
+
+  var parentViews = [];
+  if (vars.parent_) {
+    var parentVars = vars.parent_['privateModelProperties'];
+    parentViews = parentVars.views_.concat(parentVars.stencilViews_);
+  }
+
+  for (var i = 0, numViews = views.length; i < numViews; ++i) {
+    var view = views[i];
+    var layer = view['privateViewProperties'].layer_;
+
+    var parentScene = null;
+    for (var j = 0, numParentViews = parentViews.length; j < numParentViews;
+        ++j) {
+      var parentView = parentViews[j];
+      if (parentView['privateViewProperties'].layer_ === layer) {
+        parentScene = parentView['scene'];
+        break;
+      }
+    }
+
+    view['scene'].setParentScene_(parentScene);
+  }
+};
+
+
+/**
+ * Lets the loaded views re-apply a property that changed and redraw, then
+ * dispatches the change events.
+ *
+ * @private
+ *
+ * @param {string} name Property name.
+ * @param {*} value New value.
+ * @param {*} previousValue Old value.
+ */
+Model.prototype.propertyChanged_ = function(name, value, previousValue) {
+  var vars = this['privateModelProperties'];
+
+  // Properties set during initialize have no views yet. The views read them
+  // when they load.
+  var views = (vars.views_ || []).concat(vars.stencilViews_ || []);
+  for (var i = 0, len = views.length; i < len; ++i) {
+    var view = views[i];
+    if (!view['loaded'])
+      continue;
+
+    try {
+      view['change'](name, value);
+    } catch (e) {
+      window['voodoo']['engine'].handleModelError_(this, 'change', e);
+    }
+
+    view['dirty']();
+  }
+
+  var change = {
+    'name': name,
+    'value': value,
+    'previousValue': previousValue
+  };
+
+  var evt = new window['voodoo']['Event']('change:' + name, this);
+  evt['object'] = change;
+  vars.dispatcher_.dispatchEvent_(this, evt);
+
+  evt = new window['voodoo']['Event']('change', this);
+  evt['object'] = change;
+  vars.dispatcher_.dispatchEvent_(this, evt);
+};
+
+
 /**
  * Friendly type name for this model.
  *
@@ -423,6 +1031,29 @@ Model.prototype['name'] = null;
 Model.prototype['organization'] = defaultOrganization_;
 
 
+/**
+ * Observable properties for this model, by name. Each is either a default
+ * value or an object with these optional fields:
+ *
+ *   value {*} Default value.
+ *   type {string} boolean, number, or string. Values are converted to this
+ *       type. If not set, the type of a boolean, number, or string default
+ *       is used.
+ *   validate {function(*): boolean} Returns false for invalid values.
+ *
+ * A default that is itself an object must use the long form. Each property
+ * may also be set from the constructor's options. When a property changes,
+ * the loaded views are passed it in View.change and redrawn, then the model
+ * dispatches change:<name> and change events whose object holds the name,
+ * value, and previousValue. Properties are merged with those of the model
+ * being extended. Names of the model's own members, such as id or enabled,
+ * are reserved, and creating a model that declares one throws.
+ *
+ * @type {Object}
+ */
+Model.prototype['properties'] = null;
+
+
 /**
  * The view type for this model.
  *
@@ -476,10 +1107,162 @@ Model['extend'] = function(opt_object) {
   if (stencil && newStencil && stencil !== newStencil)
     newTypePrototype['stencilViewType'] = stencil['extend'](newStencil);
 
+  var properties = thisPrototype['properties'];
+  var newProperties = opt_object['properties'];
+  if (properties && newProperties && properties !== newProperties) {
+    var mergedProperties = {};
+    for (var inheritedName in properties) {
+      if (properties.hasOwnProperty(inheritedName))
+        mergedProperties[inheritedName] = properties[inheritedName];
+    }
+    for (var newName in newProperties) {
+      if (newProperties.hasOwnProperty(newName))
+        mergedProperties[newName] = newProperties[newName];
+    }
+    newTypePrototype['properties'] = mergedProperties;
+  }
+
   newType['extend'] = Model['extend'];
 
+  // Extended types copy their parent's prototype rather than inheriting from
+  // it, so instanceof only matches the exact type. Remember the parent to
+  // walk the chain instead.
+  newType.parentType_ = this;
+
   return newType;
 };
 
+
+/**
+ * Converts a value to a property's type and validates it.
+ *
+ * @private
+ *
+ * @param {string} name Property name.
+ * @param {Object} spec Property declaration from createPropertySpec_.
+ * @param {*} value Value to convert.
+ *
+ * @return {*} Converted value.
+ */
+Model.convertProperty_ = function(name, spec, value) {
+  switch (spec['type']) {
+    case 'boolean':
+      value = !!value;
+      break;
+    case 'number':
+      value = Number(value);
+      if (isNaN(value))
+        log_.error_(name + ' must be a number.', '(Model::' + name + ')');
+      break;
+    case 'string':
+      value = String(value);
+      break;
+  }
+
+  var validate = spec['validate'];
+  if (validate && !validate(value))
+    log_.error_(name + ' is not valid.', value, '(Model::' + name + ')');
+
+  return value;
+};
+
+
+/**
+ * Expands a property declaration into its long form.
+ *
+ * @private
+ *
+ * @param {*} declaration Default value or object with value, type, and
+ *     validate fields.
+ *
+ * @return {Object} Object with value, type, and validate fields.
+ */
+Model.createPropertySpec_ = function(declaration) {
+  var spec = declaration;
+  if (typeof declaration !== 'object' || declaration === null ||
+      Array.isArray(declaration))
+    spec = {'value': declaration};
+
+  var type = spec['type'];
+  if (!type) {
+    var valueType = typeof spec['value'];
+    if (valueType === 'boolean' || valueType === 'number' ||
+        valueType === 'string')
+      type = valueType;
+  }
+
+  if (type && type !== 'boolean' && type !== 'number' && type !== 'string') {
+    log_.error_('Property type must be boolean, number, or string.', type,
+        '(Model::createPropertySpec_)');
+  }
+
+  return {
+    'value': spec['value'],
+    'type': type,
+    'validate': spec['validate']
+  };
+};
+
+
+/**
+ * Determines whether a model is of a type or a type extended from it.
+ *
+ * @private
+ *
+ * @param {Model} model Model to check.
+ * @param {Function} type Model type.
+ *
+ * @return {boolean} True if the model's type is or extends the type.
+ */
+Model.isOfType_ = function(model, type) {
+  for (var modelType = model.constructor; modelType;
+      modelType = modelType.parentType_) {
+    if (modelType === type)
+      return true;
+  }
+
+  return false;
+};
+
+
+/**
+ * Determines whether a model must update before another, either because it
+ * is an ancestor or because the other depends on it, directly or through
+ * other models.
+ *
+ * @private
+ *
+ * @param {Model} first Model that may update first.
+ * @param {Model} second Model that may update after it.
+ *
+ * @return {boolean} True if first must update before second.
+ */
+Model.isUpdatedBefore_ = function(first, second) {
+  // Walk the predecessors once each, since models may share dependencies.
+  var visited = {};
+  var pending = [second];
+
+  while (pending.length > 0) {
+    var vars = pending.pop()['privateModelProperties'];
+    var predecessors = vars.dependencies_;
+    if (vars.parent_)
+      predecessors = predecessors.concat(vars.parent_);
+
+    for (var i = 0, len = predecessors.length; i < len; ++i) {
+      var predecessor = predecessors[i];
+      if (predecessor === first)
+        return true;
+
+      var id = predecessor['id'];
+      if (!visited[id]) {
+        visited[id] = true;
+        pending.push(predecessor);
+      }
+    }
+  }
+
+  return false;
+};
+
 // Exports
 this['Model'] = Model;
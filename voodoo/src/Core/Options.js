@@ -77,6 +77,33 @@ Options.prototype['belowLayer'] = true;
 Options.prototype['belowZIndex'] = -1;
 
 
+/**
+ * Function that returns the current time in milliseconds. The engine uses
+ * this to measure the time between frames. Tests can supply their own to
+ * control time deterministically. A supplied clock is used from the first
+ * frame, and the times it measures are not smoothed. If this is null,
+ * Date.now is used.
+ *
+ * Default is null.
+ *
+ * @type {?function():number}
+ */
+Options.prototype['clock'] = null;
+
+
+/**
+ * HTML element to render into. When set, the canvases are sized to and
+ * positioned over this element's client area and the page body is left
+ * untouched. 3D content outside of the element is clipped. If this is null,
+ * the canvases cover the whole browser window.
+ *
+ * Default is null.
+ *
+ * @type {Element}
+ */
+Options.prototype['container'] = null;
+
+
 /**
  * Max time in milliseconds between clicks to count as a double click.
  *
@@ -87,6 +114,36 @@ Options.prototype['belowZIndex'] = -1;
 Options.prototype.doubleClickInterval_ = 500;
 
 
+/**
+ * Whether the fullscreen canvases use fixed positioning. Fixed canvases
+ * cover the browser window without changing the page body's styles, and
+ * only the camera moves when the page is scrolled. If false, the canvases
+ * are absolutely positioned and moved to the scroll position after each
+ * render. This has no effect when rendering into a container.
+ *
+ * Default is true.
+ *
+ * @type {boolean}
+ */
+Options.prototype['fixedCanvases'] = true;
+
+
+/**
+ * The number of milliseconds simulated by each model update when using a
+ * fixed timestep. For example, if this is 10, then every call to
+ * Model.update receives a deltaTime of 0.01 seconds and the engine runs
+ * as many updates per frame as needed to catch up with real time. Views
+ * receive the fraction of a step left over via View.interpolate to blend
+ * between states. If this is 0, then each frame runs a single update with a
+ * variable deltaTime.
+ *
+ * Default is 0.
+ *
+ * @type {number}
+ */
+Options.prototype['fixedTimestep'] = 0;
+
+
 /**
  * Maximum camera field of view in degrees along either axis.
  * If zero, then the camera is an orthographic camera.
@@ -109,6 +166,45 @@ Options.prototype['fov'] = 30;
 Options.prototype['frameLoop'] = true;
 
 
+/**
+ * The number of exceptions a model may throw from its update, its views'
+ * load and unload, or its event listeners before the engine quarantines it.
+ * A quarantined model is no longer updated. Every caught exception fires an
+ * error event on the engine and on the model. If this is 0, models are never
+ * quarantined.
+ *
+ * Default is 3.
+ *
+ * @type {number}
+ */
+Options.prototype['maxModelErrors'] = 3;
+
+
+/**
+ * The maximum number of fixed timestep updates to run in a single frame.
+ * If the engine falls further behind than this, the remaining time is
+ * dropped so that slow updates cannot snowball. This only has an effect when
+ * fixedTimestep is greater than 0.
+ *
+ * Default is 5.
+ *
+ * @type {number}
+ */
+Options.prototype['maxUpdatesPerFrame'] = 5;
+
+
+/**
+ * Whether to pause when the window loses focus. The engine always pauses
+ * while the page is hidden, but a window may lose focus while still visible,
+ * for example when the user clicks into an iframe or the developer tools.
+ *
+ * Default is false.
+ *
+ * @type {boolean}
+ */
+Options.prototype['pauseOnBlur'] = false;
+
+
 /**
  * Whether to scale down the resolution of the canvases if the frames per second
  * drops below 45 for more than 3 seconds.
@@ -143,6 +239,29 @@ Options.prototype.performanceScalingFpsThreshold_ = 45;
 Options.prototype.performanceScalingTimeLimit_ = 3;
 
 
+/**
+ * Whether to measure the time spent updating each model, tracking elements,
+ * detecting the mouse, and rendering each layer. The results are available
+ * from voodoo.engine.stats and are sent every second in a stats event.
+ *
+ * Default is false.
+ *
+ * @type {boolean}
+ */
+Options.prototype['profile'] = false;
+
+
+/**
+ * The number of recent timings kept for each profiled measurement.
+ *
+ * Default is 120.
+ *
+ * @private
+ * @type {number}
+ */
+Options.prototype.profilerSampleCount_ = 120;
+
+
 /**
  * Whether to render every time the page is scrolled or resized, creating a
  * very consistent experience at the expense of performance, or to render only
@@ -237,7 +356,8 @@ Options.prototype['stencils'] = true;
 
 
 /**
- * The time to wait in milliseconds before updating when the page regains focus.
+ * The time to wait in milliseconds before updating when the page becomes
+ * visible or regains focus.
  *
  * Default is 350.
  *
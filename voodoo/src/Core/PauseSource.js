@@ -0,0 +1,19 @@
+// ----------------------------------------------------------------------------
+// File: PauseSource.js
+//
+// Copyright (c) 2014 VoodooJs Authors
+// ----------------------------------------------------------------------------
+
+
+/**
+ * Enumeration for the different reasons the engine may be paused. The engine
+ * stays paused as long as at least one source is active.
+ *
+ * @private
+ * @enum {number}
+ */
+var PauseSource_ = {
+  'Focus': 1,
+  'User': 2,
+  'Visibility': 3
+};
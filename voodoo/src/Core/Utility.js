@@ -225,7 +225,8 @@ Utility.prototype['convertCssColorToThreeJsColor'] = function(cssColor) {
 
 /**
  * Gets the absolute position of an HTML element relative to the
- * top left corner of the page.
+ * top left corner of the page. This accounts for any scrolled elements
+ * the element is inside of.
  *
  * This may be used to dynamically position models relative to
  * HTML elements as an alternative to Scene.attach.
@@ -235,15 +236,10 @@ Utility.prototype['convertCssColorToThreeJsColor'] = function(cssColor) {
  * @return {Object} Object with x and y coords.
  */
 Utility.prototype['findAbsolutePosition'] = function(element) {
-  var left = 0;
-  var top = 0;
-  if (element.offsetParent) {
-    do {
-      left += element.offsetLeft;
-      top += element.offsetTop;
-    } while (element = element.offsetParent);
-  }
-  return {x: left, y: top};
+  // The client rect already has the scroll offsets of every ancestor applied,
+  // unlike walking the offsetParents.
+  var rect = element.getBoundingClientRect();
+  return {x: rect.left + window.pageXOffset, y: rect.top + window.pageYOffset};
 };
 
 
@@ -381,6 +377,27 @@ Utility.prototype.convertColorStringToThreeJsColor_ = function(color) {
 };
 
 
+/**
+ * Gets the page position of the area the canvases cover. This is the
+ * top left corner of the container's client area, or the scroll position
+ * when there is no container.
+ *
+ * @private
+ *
+ * @param {Element} container Element rendered into, or null for the window.
+ *
+ * @return {Vector2_} Position relative to the top left corner of the page.
+ */
+Utility.prototype.findViewportPosition_ = function(container) {
+  if (!container)
+    return new Vector2_(window.pageXOffset, window.pageYOffset);
+
+  var position = this['findAbsolutePosition'](container);
+  return new Vector2_(position['x'] + container.clientLeft,
+      position['y'] + container.clientTop);
+};
+
+
 /**
  * Global Utility instance. This is created automatically.
  *
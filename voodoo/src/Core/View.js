@@ -93,9 +93,14 @@ View.prototype['construct'] = function(model, layer) {
 
   layer.addView_(this);
 
-  // Call the user's load function.
+  // Call the user's load function. A view that throws never loads.
   vars.isLoaded_ = true;
-  this['load']();
+  try {
+    this['load']();
+  } catch (e) {
+    vars.isLoaded_ = false;
+    window['voodoo']['engine'].handleModelError_(model, 'load', e);
+  }
   if (vars.isLoaded_)
     model['onViewLoad'](this);
 };
@@ -109,10 +114,14 @@ View.prototype['construct'] = function(model, layer) {
  * @this {View}
  */
 View.prototype['destroy'] = function() {
-  this['unload']();
-
   var vars = this['privateViewProperties'];
 
+  try {
+    this['unload']();
+  } catch (e) {
+    window['voodoo']['engine'].handleModelError_(vars.model_, 'unload', e);
+  }
+
   vars.triggers_.destroy_();
   vars.scene_.destroy_();
   vars.layer_.removeView_(this);
@@ -125,6 +134,25 @@ View.prototype['destroy'] = function() {
 };
 
 
+/**
+ * Re-applies a model property declared in the model's properties block after
+ * it changes. The view is marked dirty afterwards. This is only called once
+ * the view has loaded, so load should apply the current values too.
+ *
+ * Derived classes may override this. This should never be called by the user.
+ *
+ * @this {View}
+ *
+ * @param {string} name Property name.
+ * @param {*} value New value.
+ */
+View.prototype['change'] = function(name, value) {
+  var func = this['base']['change'];
+  if (typeof func === 'function')
+    func(name, value);
+};
+
+
 /**
  * Marks the view's contents as dirty so that they will be rendered again.
  *
@@ -136,6 +164,25 @@ View.prototype['dirty'] = function() {
 };
 
 
+/**
+ * Blends the View's meshes between the previous and current model state.
+ * This is called once per frame when the engine uses a fixed timestep, after
+ * all of that frame's model updates have run.
+ *
+ * Derived classes may override this. This should never be called by the user.
+ *
+ * @this {View}
+ *
+ * @param {number} alpha Fraction of a fixed timestep that has elapsed since
+ *     the last model update, from 0 to 1.
+ */
+View.prototype['interpolate'] = function(alpha) {
+  var func = this['base']['interpolate'];
+  if (typeof func === 'function')
+    func(alpha);
+};
+
+
 /**
  * Creates the View's 3D meshes and adds them to the scene.
  *
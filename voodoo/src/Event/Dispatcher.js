@@ -11,10 +11,15 @@
  *
  * @constructor
  * @private
+ *
+ * @param {function(*, Event)=} opt_onError If provided, exceptions thrown by
+ *     listeners are caught and passed here so that the remaining listeners
+ *     still run.
  */
-function Dispatcher_() {
+function Dispatcher_(opt_onError) {
   this.eventListeners_ = {};
   this.numMouseEventListeners_ = 0;
+  this.onError_ = opt_onError || null;
 }
 
 
@@ -26,7 +31,9 @@ function Dispatcher_() {
  */
 Dispatcher_.prototype.destroy_ = function() {
   EventHelpers_.totalNumMouseEventListeners_ -= this.numMouseEventListeners_;
+  this.numMouseEventListeners_ = 0;
   this.eventListeners_ = null;
+  this.onError_ = null;
 };
 
 
@@ -43,9 +50,35 @@ Dispatcher_.prototype.dispatchEvent_ = function(thisArg, event) {
   log_.assert_(event, 'event must be valid.', '(Dispatcher_::dispatchEvent_)');
 
   var listeners = this.eventListeners_[event['type']];
-  if (listeners)
-    for (var i = 0, len = listeners.length; i < len; ++i)
-      listeners[i].call(thisArg, event);
+  if (!listeners)
+    return;
+
+  var onError = this.onError_;
+  for (var i = 0, len = listeners.length; i < len; ++i) {
+    if (onError) {
+      try {
+        listeners[i].call(thisArg, event);
+      } catch (e) {
+        onError(e, event);
+      }
+    } else listeners[i].call(thisArg, event);
+  }
+};
+
+
+/**
+ * Returns whether any listeners are registered for an event type.
+ *
+ * @this {Dispatcher_}
+ * @private
+ *
+ * @param {string} type Event type.
+ *
+ * @return {boolean} True if there is at least one listener.
+ */
+Dispatcher_.prototype.hasListeners_ = function(type) {
+  var listeners = this.eventListeners_[type];
+  return !!listeners && listeners.length > 0;
 };
 
 
@@ -64,14 +97,19 @@ Dispatcher_.prototype.off_ = function(type, listener) {
   log_.assert_(typeof listener === 'function',
       'listener must be a function.', '(Dispatcher_::off_)');
 
+  var listeners = this.eventListeners_[type];
+  var index = listeners ? listeners.indexOf(listener) : -1;
+  if (index === -1)
+    return;
+
+  listeners.splice(index, 1);
+
+  // Only count listeners that were actually removed so the global count
+  // stays exact.
   if (EventHelpers_.isMouseEvent_(type)) {
     EventHelpers_.totalNumMouseEventListeners_--;
     this.numMouseEventListeners_--;
   }
-
-  var listeners = this.eventListeners_[type];
-  if (listeners && listeners.indexOf(listener))
-    listeners.splice(listeners.indexOf(listener), 1);
 };
 
 
@@ -90,16 +128,18 @@ Dispatcher_.prototype.on_ = function(type, listener) {
   log_.assert_(typeof listener === 'function',
       'listener must be a function.', '(Dispatcher_::on_)');
 
-  if (EventHelpers_.isMouseEvent_(type)) {
-    EventHelpers_.totalNumMouseEventListeners_++;
-    this.numMouseEventListeners_++;
-  }
-
   var eventListeners = this.eventListeners_[type];
 
   if (!eventListeners)
     eventListeners = this.eventListeners_[type] = [];
 
-  if (eventListeners.indexOf(listener) === -1)
-    eventListeners.push(listener);
+  if (eventListeners.indexOf(listener) !== -1)
+    return;
+
+  eventListeners.push(listener);
+
+  if (EventHelpers_.isMouseEvent_(type)) {
+    EventHelpers_.totalNumMouseEventListeners_++;
+    this.numMouseEventListeners_++;
+  }
 };
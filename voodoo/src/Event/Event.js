@@ -60,6 +60,23 @@ this.Event.prototype.initializeMouseEvent_ = function(pageX, pageY,
 this.Event.prototype['button'] = 0;
 
 
+/**
+ * Seconds elapsed for the frame. Set on beforeupdate, afterupdate,
+ * beforerender, and afterrender events.
+ *
+ * @type {number}
+ */
+this.Event.prototype['deltaTime'] = 0;
+
+
+/**
+ * Exception that was caught. Set on error events.
+ *
+ * @type {*}
+ */
+this.Event.prototype['error'] = null;
+
+
 // Intersection point
 this.Event.prototype['hit'] = {};
 
@@ -96,6 +113,15 @@ this.Event.prototype['hit']['z'] = Number.MAX_VALUE;
 this.Event.prototype['model'] = null;
 
 
+/**
+ * Id of the model from which this event fired, the same as its id property
+ * and usable with Engine.getModel. Set on error events.
+ *
+ * @type {number}
+ */
+this.Event.prototype['modelId'] = null;
+
+
 /**
  * Event target or custom data.
  *
@@ -122,6 +148,33 @@ this.Event.prototype['page']['x'] = Number.MAX_VALUE;
  */
 this.Event.prototype['page']['y'] = Number.MAX_VALUE;
 
+
+/**
+ * What the model was doing when an error was caught. One of initialize,
+ * update, interpolate, load, unload, change, or listener. Set on error
+ * events.
+ *
+ * @type {string}
+ */
+this.Event.prototype['phase'] = null;
+
+
+/**
+ * Clockwise rotation in radians of the element a scene is attached to. Set on
+ * move and resize events.
+ *
+ * @type {number}
+ */
+this.Event.prototype['rotation'] = 0;
+
+
+/**
+ * Whether anything was drawn during the frame. Set on afterrender events.
+ *
+ * @type {boolean}
+ */
+this.Event.prototype['rendered'] = false;
+
 // Size dimensions
 this.Event.prototype['size'] = {};
 
@@ -28,24 +28,7 @@ function MouseDetector_(engine) {
 
   var that = this;
   this.engine_['on']('removemodel', function(event) {
-    if (that.hoveredTrigger_ && event['model'] === that.hoveredTrigger_.model_)
-      that.hoveredTrigger_ = null;
-
-    if (that.heldTrigger_) {
-      for (var buttonIndex = 0; buttonIndex < 3; ++buttonIndex) {
-        var trigger = that.heldTrigger_[buttonIndex];
-        if (trigger && event['model'] === trigger.model_)
-          that.heldTrigger_[buttonIndex] = null;
-      }
-    }
-
-    if (that.lastClickedTrigger_) {
-      for (var buttonIndex = 0; buttonIndex < 3; ++buttonIndex) {
-        var trigger = that.lastClickedTrigger_[buttonIndex];
-        if (trigger && event['model'] === trigger.model_)
-          that.lastClickedTrigger_[buttonIndex] = null;
-      }
-    }
+    that.releaseModel_(event['model'], false);
   });
 }
 
@@ -58,17 +41,20 @@ function MouseDetector_(engine) {
 MouseDetector_.prototype.addGlobalMouseEventListeners_ = function() {
   var that = this;
 
-  document.addEventListener('mousemove', function(event) {
+  this.mouseMoveListener_ = function(event) {
     that.onMouseMove_(event);
-  }, false);
+  };
+  document.addEventListener('mousemove', this.mouseMoveListener_, false);
 
-  document.addEventListener('mousedown', function(event) {
+  this.mouseDownListener_ = function(event) {
     that.onMouseDown_(event);
-  }, false);
+  };
+  document.addEventListener('mousedown', this.mouseDownListener_, false);
 
-  document.addEventListener('mouseup', function(event) {
+  this.mouseUpListener_ = function(event) {
     that.onMouseUp_(event);
-  }, false);
+  };
+  document.addEventListener('mouseup', this.mouseUpListener_, false);
 };
 
 
@@ -79,6 +65,7 @@ MouseDetector_.prototype.addGlobalMouseEventListeners_ = function() {
  * @this {MouseDetector_}
  */
 MouseDetector_.prototype.destroy_ = function() {
+  this.removeGlobalMouseEventListeners_();
   this.initState_();
   this.engine_ = null;
 };
@@ -178,7 +165,7 @@ MouseDetector_.prototype.onMouseDown_ = function(event) {
     var button = event.button;
 
     var lastClicked = this.lastClickedTrigger_[button];
-    var interval = new Date() - this.lastClickTime_[button];
+    var interval = this.engine_.now_() - this.lastClickTime_[button];
     var held = this.heldTrigger_[button] = this.hoveredTrigger_;
 
     this.dispatchMouseEvent_('mousedown', this.hoveredTrigger_, button);
@@ -260,7 +247,7 @@ MouseDetector_.prototype.onMouseUp_ = function(event) {
       else {
         // Not a double click. Store the click info for later.
         this.lastClickedTrigger_[button] = held;
-        this.lastClickTime_[button] = new Date();
+        this.lastClickTime_[button] = this.engine_.now_();
         this.lastClickClientX_[button] = event.clientX;
         this.lastClickClientY_[button] = event.clientY;
       }
@@ -293,6 +280,57 @@ MouseDetector_.prototype.raycast_ = function() {
 };
 
 
+/**
+ * Forgets a model that was hovered over, held, or clicked so that it receives
+ * no more mouse events from them.
+ *
+ * @private
+ *
+ * @param {Model} model Model being removed or disabled.
+ * @param {boolean} mouseOut Whether to fire mouseout if it was hovered over.
+ */
+MouseDetector_.prototype.releaseModel_ = function(model, mouseOut) {
+  var hovered = this.hoveredTrigger_;
+  if (hovered && hovered.model_ === model) {
+    this.hoveredTrigger_ = null;
+    if (mouseOut)
+      this.dispatchMouseEvent_('mouseout', hovered);
+  }
+
+  if (this.heldTrigger_) {
+    for (var heldIndex = 0; heldIndex < 3; ++heldIndex) {
+      var heldTrigger = this.heldTrigger_[heldIndex];
+      if (heldTrigger && heldTrigger.model_ === model)
+        this.heldTrigger_[heldIndex] = null;
+    }
+  }
+
+  if (this.lastClickedTrigger_) {
+    for (var clickedIndex = 0; clickedIndex < 3; ++clickedIndex) {
+      var clickedTrigger = this.lastClickedTrigger_[clickedIndex];
+      if (clickedTrigger && clickedTrigger.model_ === model)
+        this.lastClickedTrigger_[clickedIndex] = null;
+    }
+  }
+};
+
+
+/**
+ * Unregisters the document event listeners.
+ *
+ * @private
+ */
+MouseDetector_.prototype.removeGlobalMouseEventListeners_ = function() {
+  document.removeEventListener('mousemove', this.mouseMoveListener_, false);
+  document.removeEventListener('mousedown', this.mouseDownListener_, false);
+  document.removeEventListener('mouseup', this.mouseUpListener_, false);
+
+  this.mouseMoveListener_ = null;
+  this.mouseDownListener_ = null;
+  this.mouseUpListener_ = null;
+};
+
+
 /**
  * Detects and dispatches model events.
  *
@@ -358,3 +396,30 @@ MouseDetector_.prototype.update_ = function() {
     renderer.setCursor_(this.hoveredTrigger_.parent_.cursor_);
   else renderer.setCursor_('auto');
 };
+
+
+/**
+ * Document mousedown listener.
+ *
+ * @private
+ * @type {?function(Event)}
+ */
+MouseDetector_.prototype.mouseDownListener_ = null;
+
+
+/**
+ * Document mousemove listener.
+ *
+ * @private
+ * @type {?function(Event)}
+ */
+MouseDetector_.prototype.mouseMoveListener_ = null;
+
+
+/**
+ * Document mouseup listener.
+ *
+ * @private
+ * @type {?function(Event)}
+ */
+MouseDetector_.prototype.mouseUpListener_ = null;
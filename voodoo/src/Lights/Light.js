@@ -47,6 +47,24 @@ LightView_.prototype['load'] = function() {
   log_.assert_(this.light, 'light must be valid.');
 
   this['scene']['add'](this.light);
+
+  this['setColor'](this['model']['color']);
+};
+
+
+/**
+ * Applies a changed light property.
+ *
+ * This should NOT be called directly.
+ *
+ * @this {LightView_}
+ *
+ * @param {string} name Property name.
+ * @param {*} value New value.
+ */
+LightView_.prototype['change'] = function(name, value) {
+  if (name === 'color')
+    this['setColor'](value);
 };
 
 
@@ -99,49 +117,14 @@ var Light_ = Model['extend']();
 
 
 /**
- * Initializes the light.
- *
- * This should NOT be called directly.
- *
- * @this {Light_}
- *
- * @param {{color: string}} options Options object.
- */
-Light_.prototype['initialize'] = function(options) {
-  this.color_ = options.color || 'white';
-
-  // Create the color property
-  var that = this;
-  Object.defineProperty(this, 'color', {
-    get: function() { return that.color_; },
-    set: function(value) {
-      that['view']['setColor'](value);
-      that.color_ = value;
-    }
-  });
-};
-
-
-/**
- * Initializes the light views.
- *
- * This should NOT be called directly.
- *
- * @this {Light_}
+ * The light's properties. color is the CSS color string describing the color
+ * of the light.
  */
-Light_.prototype['setUpViews'] = function() {
-  this['color'] = this.color_ ? this.color_ : 'black';
+Light_.prototype['properties'] = {
+  'color': 'white'
 };
 
 
-/**
- * The CSS color string describing the color of the light.
- *
- * @type {string}
- */
-Light_.prototype['color'] = null;
-
-
 /**
  * The internal light stencil view. Do not change.
  */
@@ -56,3 +56,11 @@ Camera.prototype['zNear'] = 0;
  * @type {number}
  */
 Camera.prototype['zFar'] = 0;
+
+
+/**
+ * Releases resources and stops listening to window events.
+ *
+ * @private
+ */
+Camera.prototype.destroy_ = function() {};
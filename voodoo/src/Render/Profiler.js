@@ -0,0 +1,309 @@
+// ----------------------------------------------------------------------------
+// File: Profiler.js
+//
+// Copyright (c) 2014 VoodooJs Authors
+// ----------------------------------------------------------------------------
+
+
+
+/**
+ * Measures frames per second and, when profiling is enabled, how long each
+ * part of a frame takes. The frames per second are displayed in the top left
+ * corner of the screen when voodoo.debug.showFps is set.
+ *
+ * @constructor
+ * @private
+ *
+ * @param {Engine} engine Voodoo's engine.
+ */
+function Profiler_(engine) {
+  log_.assert_(engine, 'engine must be valid.', '(Profiler_::Profiler_)');
+
+  this.engine_ = engine;
+  this.enabled_ = engine.options_['profile'];
+
+  this.showingFps_ = false;
+  this.fpsCounter_ = 0;
+  this.rpsCounter_ = 0;
+
+  this.sections_ = {};
+  this.layers_ = {};
+  this.models_ = {};
+
+  this.fpsDiv_ = document.createElement('div');
+  var fpsDivStyle = this.fpsDiv_.style;
+  fpsDivStyle.position = 'fixed';
+  fpsDivStyle.zIndex = 999999999;
+  fpsDivStyle.left = '0px';
+  fpsDivStyle.top = '0px';
+  fpsDivStyle.backgroundColor = 'black';
+  fpsDivStyle.color = 'lime';
+  fpsDivStyle.fontStyle = 'bold';
+  fpsDivStyle.fontSize = '200%';
+  fpsDivStyle.fontFamily = 'sans-serif';
+  this.fpsDiv_.display = 'none';
+  this.fpsDiv_['VoodooIgnoreMutations'] = true;
+
+  // Create a timer that runs every second
+  var that = this;
+  this.fpsTimerId_ = setInterval(function() {
+    that.fps_ = that.fpsCounter_;
+    that.rps_ = that.rpsCounter_;
+    that.fpsCounter_ = 0;
+    that.rpsCounter_ = 0;
+
+    if (that.enabled_) {
+      var evt = new window['voodoo']['Event']('stats');
+      evt['object'] = that.stats_();
+      that.engine_.dispatcher_.dispatchEvent_(null, evt);
+    }
+  }, 1000);
+}
+
+
+/**
+ * Stops the fps timer.
+ *
+ * @private
+ */
+Profiler_.prototype.destroy_ = function() {
+  if (this.showingFps_) {
+    this.fpsDiv_.display = 'none';
+    document.body.removeChild(this.fpsDiv_);
+    this.showingFps_ = false;
+  }
+
+  // Stop the timer
+  window.clearInterval(this.fpsTimerId_);
+
+  this.engine_ = null;
+  this.sections_ = null;
+  this.layers_ = null;
+  this.models_ = null;
+};
+
+
+/**
+ * Call this for each frame that runs to update the fps counters.
+ *
+ * @private
+ */
+Profiler_.prototype.frame_ = function() {
+  this.fpsCounter_++;
+
+  // Show or hide the frames per second.
+  if (window['voodoo']['debug']['showFps']) {
+    if (!this.showingFps_) {
+      this.fpsDiv_.display = 'block';
+      document.body.appendChild(this.fpsDiv_);
+      this.showingFps_ = true;
+    }
+
+    this.fpsDiv_.innerHTML = 'Frames/second: ' + this.fps_ +
+        ', Renders/second: ' + this.rps_;
+  }
+  else {
+    if (this.showingFps_) {
+      this.fpsDiv_.display = 'none';
+      document.body.removeChild(this.fpsDiv_);
+      this.showingFps_ = false;
+    }
+  }
+};
+
+
+/**
+ * Records the time spent rendering one layer.
+ *
+ * @private
+ *
+ * @param {string} name Layer name. Either above, below, or seam.
+ * @param {number} startTime Time returned from start_.
+ */
+Profiler_.prototype.recordLayer_ = function(name, startTime) {
+  if (this.enabled_)
+    this.addSample_(this.layers_, name, this.now_() - startTime);
+};
+
+
+/**
+ * Records the time spent updating one model.
+ *
+ * @private
+ *
+ * @param {Model} model Model that was updated.
+ * @param {number} startTime Time returned from start_.
+ */
+Profiler_.prototype.recordModel_ = function(model, startTime) {
+  if (this.enabled_)
+    this.addSample_(this.models_, model['id'], this.now_() - startTime);
+};
+
+
+/**
+ * Records the time spent in one part of the frame.
+ *
+ * @private
+ *
+ * @param {string} name Section name. Either update, tracker, mouse, or
+ *     render.
+ * @param {number} startTime Time returned from start_.
+ */
+Profiler_.prototype.recordSection_ = function(name, startTime) {
+  if (this.enabled_)
+    this.addSample_(this.sections_, name, this.now_() - startTime);
+};
+
+
+/**
+ * Forgets the samples for a model that was removed from the engine.
+ *
+ * @private
+ *
+ * @param {Model} model Model that was removed.
+ */
+Profiler_.prototype.removeModel_ = function(model) {
+  delete this.models_[model['id']];
+};
+
+
+/**
+ * Call this for each render that runs to update the rps counters.
+ *
+ * @private
+ */
+Profiler_.prototype.render_ = function() {
+  this.rpsCounter_++;
+};
+
+
+/**
+ * Returns the time to pass to one of the record functions, or 0 when
+ * profiling is disabled.
+ *
+ * @private
+ *
+ * @return {number} Current time in milliseconds.
+ */
+Profiler_.prototype.start_ = function() {
+  return this.enabled_ ? this.now_() : 0;
+};
+
+
+/**
+ * Builds a snapshot of the current statistics.
+ *
+ * @private
+ *
+ * @return {Object} Frames and renders per second, and timings in
+ *     milliseconds for each section, layer, and model.
+ */
+Profiler_.prototype.stats_ = function() {
+  var summarize = function(table) {
+    var summaries = {};
+    for (var key in table) {
+      if (table.hasOwnProperty(key))
+        summaries[key] = Profiler_.summarize_(table[key]);
+    }
+    return summaries;
+  };
+
+  var stats = summarize(this.sections_);
+  stats['fps'] = this.fps_;
+  stats['rps'] = this.rps_;
+  stats['layers'] = summarize(this.layers_);
+  stats['models'] = summarize(this.models_);
+
+  return stats;
+};
+
+
+/**
+ * Adds a timing to a rolling window of samples.
+ *
+ * @private
+ *
+ * @param {Object.<string, Array.<number>>} table Samples by name.
+ * @param {string|number} name Name or model id of what was measured.
+ * @param {number} milliseconds Time spent.
+ */
+Profiler_.prototype.addSample_ = function(table, name, milliseconds) {
+  var samples = table[name];
+  if (!samples)
+    samples = table[name] = [];
+
+  samples.push(milliseconds);
+  if (samples.length > this.engine_.options_.profilerSampleCount_)
+    samples.shift();
+};
+
+
+/**
+ * Returns a high resolution time in milliseconds if available.
+ *
+ * @private
+ *
+ * @return {number} Current time in milliseconds.
+ */
+Profiler_.prototype.now_ = function() {
+  var performance = window.performance;
+  return performance && performance.now ? performance.now() : Date.now();
+};
+
+
+/**
+ * Calculates the average and percentiles of a list of samples.
+ *
+ * @private
+ *
+ * @param {Array.<number>} samples Timings in milliseconds.
+ *
+ * @return {Object} The average, median, p95, p99, and max.
+ */
+Profiler_.summarize_ = function(samples) {
+  var sorted = samples.slice(0).sort(function(a, b) { return a - b; });
+  var count = sorted.length;
+
+  var total = 0;
+  for (var i = 0; i < count; ++i)
+    total += sorted[i];
+
+  var percentile = function(fraction) {
+    return sorted[Math.min(count - 1, Math.floor(count * fraction))];
+  };
+
+  return {
+    'average': total / count,
+    'median': percentile(0.5),
+    'p95': percentile(0.95),
+    'p99': percentile(0.99),
+    'max': sorted[count - 1]
+  };
+};
+
+
+/**
+ * Whether to measure timings.
+ *
+ * @private
+ * @type {boolean}
+ */
+Profiler_.prototype.enabled_ = false;
+
+
+/**
+ * The last calculated frames per second.
+ *
+ * @type {number}
+ * @private
+ */
+Profiler_.prototype.fps_ = 0;
+
+
+/**
+ * The last calculated renders per second.
+ *
+ * @type {number}
+ * @private
+ */
+Profiler_.prototype.rps_ = 0;
@@ -46,19 +46,19 @@ RenderingEngine_.prototype.markDirty_ = function() {};
 
 
 /**
- * Called when the window loses focus.
+ * Called when the engine pauses rendering.
  *
  * @private
  */
-RenderingEngine_.prototype.onBlur_ = function() {};
+RenderingEngine_.prototype.onPause_ = function() {};
 
 
 /**
- * Called when the window regains focus.
+ * Called when the engine resumes rendering.
  *
  * @private
  */
-RenderingEngine_.prototype.onFocus_ = function() {};
+RenderingEngine_.prototype.onResume_ = function() {};
 
 
 /**
@@ -125,7 +125,18 @@ RenderingEngine_.prototype.seamStencilLayer_ = null;
 
 
 /**
- * The size of the browser's visible page area.
+ * The page position of the top left corner of the rendered area. This is the
+ * scroll position, or the container's client area if there is one.
+ *
+ * @type {Vector2_}
+ * @private
+ */
+RenderingEngine_.prototype.viewportPosition_ = null;
+
+
+/**
+ * The size of the browser's visible page area, or of the container if there
+ * is one.
  *
  * @type {Size2_}
  * @private
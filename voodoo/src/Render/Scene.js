@@ -24,22 +24,47 @@ Scene.prototype['add'] = function(object) {};
 
 /**
  * Sets the local coordinate system of the scene by aligning to an HTML element.
+ * The scene follows the element's CSS transforms, so it rotates and scales
+ * with the element.
  *
- * @param {HTMLElement} element HTML element to attach to. If null, the
- *    local coordinate system is reset back to the top left corner of the page
- *    and scaled in pixels.
- * @param {boolean=} opt_center If true, sets the origin to the element's
- *    center. If false, sets the origin to the element's top left corner.
- *    Default is true.
- * @param {boolean=} opt_pixels If true, one unit is one pixel. If false, one
- *    x unit is the element's width, and one y unit is the unit's height. Z
- *    is in pixels regardless. Default is true.
- * @param {boolean=} opt_zscale If true, the z dimension is also scaled
- *    using the average of the width and height. If false, no scaling
- *    along the z axis is performed. Default is true.
+ * The options are:
+ *
+ *    anchor: Where the origin is on the element. One of center, top, bottom,
+ *      left, right, topleft, topright, bottomleft, or bottomright. Default is
+ *      center.
+ *    offset: Pixels to move the origin from the anchor, as an object with x
+ *      and y or an array. The offset turns with the element.
+ *    scale: How big one unit is. With pixels, one unit is one pixel. With
+ *      stretch, one x unit is the element's width and one y unit is its
+ *      height. With contain or cover, one unit along both axes is the
+ *      element's smaller or larger side. Default is pixels.
+ *    zscale: How big one z unit is. With none, one z unit is one pixel. With
+ *      average, min, or max, it is the average, smaller, or larger of the x
+ *      and y units. Default is average.
+ *    destroyOnRemove: If true, the model is destroyed when the element is
+ *      removed from the document. If false, the scene is hidden until the
+ *      element is inserted again. Either way, the model receives a detached
+ *      event. Default is false.
+ *
+ * The older form attach(element, center, pixels, zscale, destroyOnRemove)
+ * with booleans is still supported.
+ *
+ * A scene may be attached to several elements at once, such as to connect
+ * them. The first element sets the local coordinate system and the others
+ * are only tracked. Each element fires its own move and resize events, with
+ * the element as the event's object, and getRect finds where it is.
+ *
+ * @param {HTMLElement|Array.<HTMLElement>} element HTML element or elements
+ *    to attach to.
+ * @param {(Object|boolean)=} opt_options Attach options, or whether to
+ *    anchor at the center in the older form.
+ * @param {boolean=} opt_pixels Whether to scale in pixels in the older form.
+ * @param {boolean=} opt_zscale Whether to scale z in the older form.
+ * @param {boolean=} opt_destroyOnRemove Whether to destroy the model when the
+ *    element is removed in the older form.
  */
-Scene.prototype['attach'] = function(element, opt_center, opt_pixels,
-    opt_zscale) {};
+Scene.prototype['attach'] = function(element, opt_options, opt_pixels,
+    opt_zscale, opt_destroyOnRemove) {};
 
 
 /**
@@ -48,6 +73,20 @@ Scene.prototype['attach'] = function(element, opt_center, opt_pixels,
 Scene.prototype['detach'] = function() {};
 
 
+/**
+ * Finds the area an attached element covers in local coordinates. This is
+ * the element's bounding box on the page, so it includes any CSS transforms.
+ *
+ * @param {HTMLElement} element One of the elements the scene is attached to.
+ *
+ * @return {Object} The x and y of the top left corner with the width and
+ *    height, or null if the element isn't attached or in the document.
+ */
+Scene.prototype['getRect'] = function(element) {
+  return null;
+};
+
+
 /**
  * Converts a coordinate from local-space to page-space
  * when the scene is attached to an HTML element.
@@ -117,6 +156,72 @@ Scene.prototype['objects'] = null;
 Scene.prototype.destroy_ = function() {};
 
 
+/**
+ * Determines whether any of the scene can be seen in the viewport.
+ *
+ * @private
+ *
+ * @param {Vector2_} position Page position of the viewport's top left corner.
+ * @param {Size2_} size Size of the viewport in pixels.
+ *
+ * @return {boolean} True if the scene may be visible.
+ */
+Scene.prototype.isInViewport_ = function(position, size) {
+  return true;
+};
+
+
+/**
+ * Shows or hides everything in the scene for its model.
+ *
+ * @private
+ *
+ * @param {boolean} enabled Whether the model is enabled.
+ */
+Scene.prototype.setEnabled_ = function(enabled) {};
+
+
+/**
+ * Hides the scene while its model is out of the viewport and isn't updating
+ * fully.
+ *
+ * @private
+ *
+ * @param {boolean} offscreen Whether to hide the scene for being offscreen.
+ */
+Scene.prototype.setOffscreen_ = function(offscreen) {};
+
+
+/**
+ * Places the scene inside another scene's local coordinate system.
+ *
+ * @private
+ *
+ * @param {Scene} parentScene Scene to place this one in, or null to return
+ *     to the page's coordinate system.
+ */
+Scene.prototype.setParentScene_ = function(parentScene) {};
+
+
+/**
+ * Whether the model should be destroyed when the attached element is removed
+ * from the document.
+ *
+ * @private
+ * @type {boolean}
+ */
+Scene.prototype.destroyOnRemove_ = false;
+
+
+/**
+ * Whether the attached element has been removed from the document.
+ *
+ * @private
+ * @type {boolean}
+ */
+Scene.prototype.elementRemoved_ = false;
+
+
 /**
  * Whether any contents of this View's scene are dirty.
  *
@@ -7,8 +7,8 @@
 
 
 /**
- * Tracks the position and size of an HTML element and issues callbacks
- * when these change.
+ * Tracks the position, size, and CSS transform of an HTML element and issues
+ * callbacks when these change.
  *
  * @constructor
  * @private
@@ -27,8 +27,16 @@ function TrackedElement_(element) {
   this.lastY_ = Number.MIN_VALUE;
   this.lastWidth_ = Number.MIN_VALUE;
   this.lastHeight_ = Number.MIN_VALUE;
+  this.lastVisible_ = true;
+  this.lastClipRect_ = null;
+  this.lastTransform_ = [1, 0, 0, 1];
+  this.lastInDocument_ = true;
 
-  this.update_();
+  // There are no callbacks yet to tell about the first measurement.
+  this.measure_();
+  this.pendingMoved_ = false;
+  this.pendingResized_ = false;
+  this.pendingClipped_ = false;
 }
 
 
@@ -37,8 +45,13 @@ function TrackedElement_(element) {
  *
  * @private
  *
- * @param {function(number, number, number, number, boolean, boolean)} callback
- *     Callback to add.
+ * @param {function(number, number, number, number, boolean, boolean,
+ *     boolean, Array.<number>, boolean, Array.<number>)} callback Callback
+ *     to add. It receives the page position of the element's transformed top
+ *     left corner, its untransformed width and height, whether it moved or
+ *     rotated, whether it resized or was scaled, whether it is visible, its
+ *     transform, whether it is still in the document, and the page area it
+ *     is clipped to or null.
  * @return {number} Callback id used to release.
  */
 TrackedElement_.prototype.addCallback_ = function(callback) {
@@ -55,7 +68,8 @@ TrackedElement_.prototype.addCallback_ = function(callback) {
   // Always call the callback once immediately after it is added so that
   // the new object attaching gets the current location of the element.
   callback(this.lastX_, this.lastY_, this.lastWidth_,
-      this.lastHeight_, true, true);
+      this.lastHeight_, true, true, this.lastVisible_, this.lastTransform_,
+      this.lastInDocument_, this.lastClipRect_);
 
   return id;
 };
@@ -80,35 +94,252 @@ TrackedElement_.prototype.releaseCallback_ = function(callbackId) {
 
 
 /**
- * Called each frame to detect changes in position or size of HTML elements
- * and fire the callbacks to update local coordinate systems.
+ * Reads the position, size, and transform of the element and remembers what
+ * changed for notify_. This only reads from the page.
  *
  * @private
+ *
+ * @return {boolean} True if anything changed.
+ */
+TrackedElement_.prototype.measure_ = function() {
+  var element = this.element_;
+
+  // A removed element has no layout, so keep its last position for when it
+  // is inserted again.
+  var inDocument = document.documentElement.contains(element);
+  if (!inDocument) {
+    if (!this.lastInDocument_)
+      return false;
+
+    this.lastInDocument_ = false;
+    this.pendingClipped_ = true;
+    return true;
+  }
+
+  var width = element.offsetWidth;
+  var height = element.offsetHeight;
+  var transform = this.findTransform_();
+  var rect = element.getBoundingClientRect();
+  var scrollX = window.pageXOffset;
+  var scrollY = window.pageYOffset;
+
+  // The element can't be seen if none of it is inside its clip rect.
+  var clipRect = this.findClipRect_();
+  var visible = !clipRect || (rect.left + scrollX < clipRect[2] &&
+      rect.right + scrollX > clipRect[0] && rect.top + scrollY < clipRect[3] &&
+      rect.bottom + scrollY > clipRect[1]);
+
+  // An affine transform maps the element's center to the center of its
+  // bounding box, so we find the transformed corner from there.
+  var centerX = (rect.left + rect.right) / 2 + scrollX;
+  var centerY = (rect.top + rect.bottom) / 2 + scrollY;
+  var x = centerX - (transform[0] * width + transform[2] * height) / 2;
+  var y = centerY - (transform[1] * width + transform[3] * height) / 2;
+
+  // Rotating counts as moving and scaling or skewing counts as resizing.
+  var shape = TrackedElement_.decompose_(transform);
+  var lastShape = TrackedElement_.decompose_(this.lastTransform_);
+  var rotated = shape.rotation !== lastShape.rotation;
+  var scaled = shape.scaleX !== lastShape.scaleX ||
+      shape.scaleY !== lastShape.scaleY || shape.skew !== lastShape.skew;
+
+  var moved = x !== this.lastX_ || y !== this.lastY_ || rotated;
+  var resized = width !== this.lastWidth_ || height !== this.lastHeight_ ||
+      scaled;
+  var clipped = visible !== this.lastVisible_ || !this.lastInDocument_ ||
+      !TrackedElement_.areClipRectsEqual_(clipRect, this.lastClipRect_);
+  if (!moved && !resized && !clipped)
+    return false;
+
+  // Save the new position and size
+  this.lastX_ = x;
+  this.lastY_ = y;
+  this.lastWidth_ = width;
+  this.lastHeight_ = height;
+  this.lastVisible_ = visible;
+  this.lastClipRect_ = clipRect;
+  this.lastTransform_ = transform;
+  this.lastInDocument_ = true;
+
+  // Combine with changes that haven't been sent yet
+  this.pendingMoved_ = this.pendingMoved_ || moved;
+  this.pendingResized_ = this.pendingResized_ || resized;
+  this.pendingClipped_ = this.pendingClipped_ || clipped;
+
+  return true;
+};
+
+
+/**
+ * Fires the callbacks if the last measurement found a change. The tracker
+ * measures every element before notifying any of them so that callbacks
+ * changing the page don't force extra layouts.
+ *
+ * @private
+ */
+TrackedElement_.prototype.notify_ = function() {
+  if (!this.pendingMoved_ && !this.pendingResized_ && !this.pendingClipped_)
+    return;
+
+  var moved = this.pendingMoved_;
+  var resized = this.pendingResized_;
+
+  this.pendingMoved_ = false;
+  this.pendingResized_ = false;
+  this.pendingClipped_ = false;
+
+  for (var callback in this.callbacks_) {
+    if (this.callbacks_.hasOwnProperty(callback)) {
+      this.callbacks_[callback].call(null, this.lastX_, this.lastY_,
+          this.lastWidth_, this.lastHeight_, moved, resized, this.lastVisible_,
+          this.lastTransform_, this.lastInDocument_, this.lastClipRect_);
+    }
+  }
+};
+
+
+/**
+ * Combines the CSS transforms of the element and its ancestors. Only the
+ * rotation, scale, and skew are kept since the translation is measured from
+ * the element's bounding box.
+ *
+ * @private
+ *
+ * @return {Array.<number>} The a, b, c, and d components of the 2D matrix.
  */
-TrackedElement_.prototype.update_ = function() {
-  var position = window['voodoo']['utility']['findAbsolutePosition'](
-      this.element_);
-
-  var width = this.element_.offsetWidth;
-  var height = this.element_.offsetHeight;
-
-  var moved = position['x'] !== this.lastX_ || position['y'] !== this.lastY_;
-  var resized = width !== this.lastWidth_ || height !== this.lastHeight_;
-  if (moved || resized) {
-    // Save the new position and size
-    this.lastX_ = position['x'];
-    this.lastY_ = position['y'];
-    this.lastWidth_ = width;
-    this.lastHeight_ = height;
-
-    // Fire callbacks
-    for (var callback in this.callbacks_) {
-      if (this.callbacks_.hasOwnProperty(callback)) {
-        this.callbacks_[callback].call(null, this.lastX_, this.lastY_,
-            this.lastWidth_, this.lastHeight_, moved, resized);
+TrackedElement_.prototype.findTransform_ = function() {
+  var a = 1, b = 0, c = 0, d = 1;
+
+  for (var node = this.element_; node && node.nodeType === Node.ELEMENT_NODE;
+      node = node.parentNode) {
+    var value = window.getComputedStyle(node).transform;
+    if (!value || value.indexOf('matrix') !== 0)
+      continue;
+
+    var values = value.substring(value.indexOf('(') + 1,
+        value.indexOf(')')).split(',');
+    var is3d = value.indexOf('matrix3d') === 0;
+    var na = parseFloat(values[0]);
+    var nb = parseFloat(values[1]);
+    var nc = parseFloat(values[is3d ? 4 : 2]);
+    var nd = parseFloat(values[is3d ? 5 : 3]);
+
+    // Ancestors apply after the transforms below them.
+    var ta = na * a + nc * b;
+    var tb = nb * a + nd * b;
+    var tc = na * c + nc * d;
+    var td = nb * c + nd * d;
+    a = ta;
+    b = tb;
+    c = tc;
+    d = td;
+  }
+
+  return [a, b, c, d];
+};
+
+
+/**
+ * Finds the area of the page the element is clipped to by the elements it is
+ * inside of, such as scrolled panes. Each side is clipped only along the axes
+ * an ancestor hides its overflow on.
+ *
+ * @private
+ *
+ * @return {Array.<number>} The left, top, right, and bottom page coordinates
+ *     of the clip rect, or null if nothing clips the element.
+ */
+TrackedElement_.prototype.findClipRect_ = function() {
+  var clipRect = null;
+  var scrollX = window.pageXOffset;
+  var scrollY = window.pageYOffset;
+
+  var documentBody = document.body;
+  var ancestor = this.element_.parentElement;
+  while (ancestor && ancestor !== documentBody) {
+    var style = window.getComputedStyle(ancestor);
+    var clipX = TrackedElement_.isClippingOverflow_(style.overflowX);
+    var clipY = TrackedElement_.isClippingOverflow_(style.overflowY);
+
+    if (clipX || clipY) {
+      if (!clipRect)
+        clipRect = [-Infinity, -Infinity, Infinity, Infinity];
+
+      // Clip to the ancestor's client area
+      var ancestorRect = ancestor.getBoundingClientRect();
+      var clipLeft = ancestorRect.left + ancestor.clientLeft + scrollX;
+      var clipTop = ancestorRect.top + ancestor.clientTop + scrollY;
+
+      if (clipX) {
+        clipRect[0] = Math.max(clipRect[0], clipLeft);
+        clipRect[2] = Math.min(clipRect[2], clipLeft + ancestor.clientWidth);
+      }
+
+      if (clipY) {
+        clipRect[1] = Math.max(clipRect[1], clipTop);
+        clipRect[3] = Math.min(clipRect[3], clipTop + ancestor.clientHeight);
       }
     }
+
+    ancestor = ancestor.parentElement;
   }
+
+  return clipRect;
+};
+
+
+/**
+ * Returns whether two clip rects cover the same area.
+ *
+ * @private
+ *
+ * @param {Array.<number>} a First clip rect, or null.
+ * @param {Array.<number>} b Second clip rect, or null.
+ *
+ * @return {boolean} True if they are equal.
+ */
+TrackedElement_.areClipRectsEqual_ = function(a, b) {
+  if (!a || !b)
+    return a === b;
+
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3];
+};
+
+
+/**
+ * Splits a 2D transform into its rotation, scale, and skew.
+ *
+ * @private
+ *
+ * @param {Array.<number>} transform The a, b, c, and d matrix components.
+ *
+ * @return {{rotation: number, scaleX: number, scaleY: number, skew: number}}
+ *     Clockwise rotation in radians, the length of each axis, and the dot
+ *     product of the axes which is zero when there is no skew.
+ */
+TrackedElement_.decompose_ = function(transform) {
+  var a = transform[0], b = transform[1], c = transform[2], d = transform[3];
+  return {
+    rotation: Math.atan2(b, a),
+    scaleX: Math.sqrt(a * a + b * b),
+    scaleY: Math.sqrt(c * c + d * d),
+    skew: a * c + b * d
+  };
+};
+
+
+/**
+ * Returns whether a CSS overflow value clips an element's content.
+ *
+ * @private
+ *
+ * @param {string} overflow Computed overflow-x or overflow-y value.
+ *
+ * @return {boolean} True if content outside the element is hidden.
+ */
+TrackedElement_.isClippingOverflow_ = function(overflow) {
+  return overflow === 'hidden' || overflow === 'scroll' ||
+      overflow === 'auto' || overflow === 'clip';
 };
 
 
@@ -119,3 +350,33 @@ TrackedElement_.prototype.update_ = function() {
  * @type {number}
  */
 TrackedElement_.prototype.numCallbacks_ = 0;
+
+
+/**
+ * Whether the element was scrolled in or out of view, had its clip rect
+ * change, or was removed from or inserted into the document, since the
+ * callbacks were last fired.
+ *
+ * @private
+ * @type {boolean}
+ */
+TrackedElement_.prototype.pendingClipped_ = false;
+
+
+/**
+ * Whether the element moved or rotated since the callbacks were last fired.
+ *
+ * @private
+ * @type {boolean}
+ */
+TrackedElement_.prototype.pendingMoved_ = false;
+
+
+/**
+ * Whether the element resized or was scaled since the callbacks were last
+ * fired.
+ *
+ * @private
+ * @type {boolean}
+ */
+TrackedElement_.prototype.pendingResized_ = false;
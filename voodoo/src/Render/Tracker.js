@@ -10,6 +10,12 @@
  * Tracks the positions of 2D HTML elements, and fires events when they move,
  * which is used to adjust the local coordinate systems of scene automatically.
  *
+ * Reading element positions forces the browser to lay out the page, so the
+ * elements are only measured after something happens that could move them:
+ * a mutation to the page, an element resizing, scrolling, a window resize,
+ * or a CSS animation or transition running on a tracked element or one of
+ * its ancestors. Browsers without MutationObserver are measured every frame.
+ *
  * @constructor
  * @private
  */
@@ -21,17 +27,71 @@ function Tracker_() {
 
   this.nextTrackId_ = 0;
   this.tracks_ = {};
+
+  this.dirty_ = true;
+  this.animatingElements_ = [];
+
+  this.observe_();
 }
 
 
+/**
+ * Stops observing the page.
+ *
+ * @private
+ */
+Tracker_.prototype.destroy_ = function() {
+  if (this.mutationObserver_)
+    this.mutationObserver_.disconnect();
+  if (this.resizeObserver_)
+    this.resizeObserver_.disconnect();
+
+  window.removeEventListener('scroll', this.invalidateListener_, true);
+  window.removeEventListener('resize', this.invalidateListener_, true);
+
+  var startEvents = Tracker_.animationStartEvents_;
+  for (var startIndex = 0, numStartEvents = startEvents.length;
+      startIndex < numStartEvents; ++startIndex)
+    window.removeEventListener(startEvents[startIndex],
+        this.animationStartListener_, true);
+
+  var endEvents = Tracker_.animationEndEvents_;
+  for (var endIndex = 0, numEndEvents = endEvents.length;
+      endIndex < numEndEvents; ++endIndex)
+    window.removeEventListener(endEvents[endIndex],
+        this.animationEndListener_, true);
+
+  this.animatingElements_ = [];
+  this.mutationObserver_ = null;
+  this.resizeObserver_ = null;
+  this.invalidateListener_ = null;
+  this.animationStartListener_ = null;
+  this.animationEndListener_ = null;
+};
+
+
+/**
+ * Marks the tracked elements as possibly moved so that they are measured on
+ * the next update.
+ *
+ * @private
+ */
+Tracker_.prototype.invalidate_ = function() {
+  this.dirty_ = true;
+};
+
+
 /**
  * Adds a track to an HTML element.
  *
  * @private
  *
  * @param {HTMLElement} element Html DOM element to track.
- * @param {function(number, number, number, number, boolean, boolean)} callback
- *    Callback to fire when the element moves.
+ * @param {function(number, number, number, number, boolean, boolean,
+ *     boolean, Array.<number>, boolean, Array.<number>)} callback Callback to
+ *     fire when the element moves, resizes, is scrolled in or out of view,
+ *     is clipped differently, or is removed from or inserted into the
+ *     document.
  * @return {number} Track id used to release the callback.
  */
 Tracker_.prototype.track_ = function(element, callback) {
@@ -52,6 +112,9 @@ Tracker_.prototype.track_ = function(element, callback) {
         this.nextTrackedElementId_++;
     trackedElement = this.trackedElements_[trackedElementId] =
         new TrackedElement_(element);
+
+    if (this.resizeObserver_)
+      this.resizeObserver_.observe(element);
   }
 
   log_.assert_(trackedElement, 'TrackedElement not found.',
@@ -99,6 +162,9 @@ Tracker_.prototype.release_ = function(trackId) {
   if (trackedElement.numCallbacks_ === 0) {
     delete this.trackedElements_[trackedElementId];
     delete trackedElement.element_['VoodooTrackedElementId'];
+
+    if (this.resizeObserver_)
+      this.resizeObserver_.unobserve(trackedElement.element_);
   }
 };
 
@@ -109,6 +175,212 @@ Tracker_.prototype.release_ = function(trackId) {
  * @private
  */
 Tracker_.prototype.update_ = function() {
-  for (var trackedElement in this.trackedElements_)
-    this.trackedElements_[trackedElement].update_();
+  // Mutations are delivered asynchronously, so collect any that happened
+  // since the last frame ourselves.
+  if (this.mutationObserver_) {
+    if (this.hasRelevantMutations_(this.mutationObserver_.takeRecords()))
+      this.dirty_ = true;
+  } else {
+    this.dirty_ = true;
+  }
+
+  // Animated elements that left the document never fire an end event.
+  var animatingElements = this.animatingElements_;
+  for (var i = animatingElements.length - 1; i >= 0; --i) {
+    if (!document.documentElement.contains(animatingElements[i])) {
+      animatingElements.splice(i, 1);
+      this.dirty_ = true;
+    }
+  }
+
+  if (!this.dirty_ && animatingElements.length === 0)
+    return;
+
+  this.dirty_ = false;
+
+  // Measure every element before firing any callbacks. The callbacks may
+  // change the page, and reading after writing forces another layout.
+  var trackedElements = this.trackedElements_;
+  var changed = [];
+  for (var id in trackedElements) {
+    if (trackedElements.hasOwnProperty(id) && trackedElements[id].measure_())
+      changed.push(trackedElements[id]);
+  }
+
+  for (var changedIndex = 0, numChanged = changed.length;
+      changedIndex < numChanged; ++changedIndex)
+    changed[changedIndex].notify_();
+};
+
+
+/**
+ * Returns whether an element is tracked or contains a tracked element, so
+ * that animating it could move a tracked element.
+ *
+ * @private
+ *
+ * @param {Node} element Element to check.
+ *
+ * @return {boolean} True if the element is or contains a tracked element.
+ */
+Tracker_.prototype.containsTrackedElement_ = function(element) {
+  var trackedElements = this.trackedElements_;
+  for (var id in trackedElements) {
+    if (trackedElements.hasOwnProperty(id) &&
+        element.contains(trackedElements[id].element_))
+      return true;
+  }
+
+  return false;
+};
+
+
+/**
+ * Returns whether any of the mutations could have moved an element. Changes
+ * to elements that voodoo manages itself, like its canvases, are ignored.
+ *
+ * @private
+ *
+ * @param {Array.<MutationRecord>} records Mutations to check.
+ *
+ * @return {boolean} True if any mutation could have moved an element.
+ */
+Tracker_.prototype.hasRelevantMutations_ = function(records) {
+  for (var i = 0, len = records.length; i < len; ++i) {
+    var target = records[i].target;
+    if (target.nodeType !== Node.ELEMENT_NODE)
+      target = target.parentNode;
+
+    if (!target || !target['VoodooIgnoreMutations'])
+      return true;
+  }
+
+  return false;
 };
+
+
+/**
+ * Starts listening for anything that could move the tracked elements.
+ *
+ * @private
+ */
+Tracker_.prototype.observe_ = function() {
+  var that = this;
+
+  var MutationObserver = window['MutationObserver'];
+  if (MutationObserver) {
+    this.mutationObserver_ = new MutationObserver(function(records) {
+      if (that.hasRelevantMutations_(records))
+        that.dirty_ = true;
+    });
+
+    this.mutationObserver_.observe(document.documentElement, {
+      'attributes': true,
+      'characterData': true,
+      'childList': true,
+      'subtree': true
+    });
+  }
+
+  var ResizeObserver = window['ResizeObserver'];
+  if (ResizeObserver) {
+    this.resizeObserver_ = new ResizeObserver(function() {
+      that.dirty_ = true;
+    });
+  }
+
+  // Scroll events don't bubble, so capture them to hear about scrolling
+  // inside the page too.
+  this.invalidateListener_ = function() {
+    that.dirty_ = true;
+  };
+  window.addEventListener('scroll', this.invalidateListener_, true);
+  window.addEventListener('resize', this.invalidateListener_, true);
+
+  // Animations move elements without mutating the page, so measure every
+  // frame while any are running on a tracked element or one of its
+  // ancestors. Each running animation adds its element once.
+  this.animationStartListener_ = function(event) {
+    var target = event.target;
+    if (target.contains && that.containsTrackedElement_(target))
+      that.animatingElements_.push(target);
+  };
+  this.animationEndListener_ = function(event) {
+    var animatingElements = that.animatingElements_;
+    var index = animatingElements.indexOf(event.target);
+    if (index !== -1) {
+      animatingElements.splice(index, 1);
+      that.dirty_ = true;
+    }
+  };
+
+  var startEvents = Tracker_.animationStartEvents_;
+  for (var startIndex = 0, numStartEvents = startEvents.length;
+      startIndex < numStartEvents; ++startIndex)
+    window.addEventListener(startEvents[startIndex],
+        this.animationStartListener_, true);
+
+  var endEvents = Tracker_.animationEndEvents_;
+  for (var endIndex = 0, numEndEvents = endEvents.length;
+      endIndex < numEndEvents; ++endIndex)
+    window.addEventListener(endEvents[endIndex],
+        this.animationEndListener_, true);
+};
+
+
+/**
+ * Events that fire when a CSS animation or transition ends.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+Tracker_.animationEndEvents_ = ['animationend', 'animationcancel',
+    'transitionend', 'transitioncancel'];
+
+
+/**
+ * Events that fire when a CSS animation or transition starts.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+Tracker_.animationStartEvents_ = ['animationstart', 'transitionrun'];
+
+
+/**
+ * Elements with running CSS animations or transitions that could move the
+ * tracked elements, once per animation.
+ *
+ * @private
+ * @type {Array.<Node>}
+ */
+Tracker_.prototype.animatingElements_ = null;
+
+
+/**
+ * Whether the tracked elements may have moved since they were last measured.
+ *
+ * @private
+ * @type {boolean}
+ */
+Tracker_.prototype.dirty_ = true;
+
+
+/**
+ * Observes the page for changes that could move the tracked elements.
+ *
+ * @private
+ * @type {MutationObserver}
+ */
+Tracker_.prototype.mutationObserver_ = null;
+
+
+/**
+ * Observes the tracked elements for size changes.
+ *
+ * @private
+ * @type {ResizeObserver}
+ */
+Tracker_.prototype.resizeObserver_ = null;
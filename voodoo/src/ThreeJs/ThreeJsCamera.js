@@ -17,8 +17,10 @@
  *     axis. If zero, then the camera is an orthographic camera.
  * @param {number} zNear Minimum z distance rendered.
  * @param {number} zFar Maximum z distance rendered.
+ * @param {Element=} opt_container Element the canvas covers. If not set,
+ *     the canvas covers the browser window.
  */
-function ThreeJsCamera_(canvas, fov, zNear, zFar) {
+function ThreeJsCamera_(canvas, fov, zNear, zFar, opt_container) {
   log_.info_('Creating ThreeJs Camera');
 
   log_.assert_(canvas, 'canvas must be valid.',
@@ -48,6 +50,7 @@ function ThreeJsCamera_(canvas, fov, zNear, zFar) {
   log_.assert_(zNear < zFar, 'zNear must be less than zFar.', zNear, zFar,
       '(ThreeJsCamera_::ThreeJsCamera_)');
 
+  this.container_ = opt_container || null;
   this.camera_ = new THREE.Camera();
   this.frustum_ = new THREE.Frustum();
 
@@ -81,8 +84,9 @@ ThreeJsCamera_.prototype.constructor = ThreeJsCamera_.constructor;
 ThreeJsCamera_.prototype.createProjectionMatrix_ = function() {
   if (this.fov_ === 0) {
     // Case: Orthographic camera.
-    var halfInnerWidth = window.innerWidth / 2.0;
-    var halfInnerHeight = window.innerHeight / 2.0;
+    var canvasStyle = this.canvas_.style;
+    var halfInnerWidth = parseInt(canvasStyle.width, 10) / 2.0;
+    var halfInnerHeight = parseInt(canvasStyle.height, 10) / 2.0;
     this.camera_.projectionMatrix.makeOrthographic(-halfInnerWidth,
         halfInnerWidth, halfInnerHeight, -halfInnerHeight, this.zNear_,
         this.zFar_);
@@ -126,6 +130,17 @@ ThreeJsCamera_.prototype.createProperties_ = function() {
 };
 
 
+/**
+ * Stops listening to window events.
+ *
+ * @private
+ */
+ThreeJsCamera_.prototype.destroy_ = function() {
+  window.removeEventListener('resize', this.windowResizeListener_, false);
+  this.windowResizeListener_ = null;
+};
+
+
 /**
  * Initializes the camera.
  *
@@ -145,16 +160,15 @@ ThreeJsCamera_.prototype.initialize_ = function() {
   this.onResize_();
   this.update_();
 
-  // Register the renderer's onScroll and onResize events with the window
+  // Register the camera's onResize event with the window. Scrolling is
+  // forwarded by the renderer so the camera moves in the same event that
+  // renders the canvases.
   var that = this;
 
-  window.addEventListener('scroll', function() {
-    that.onScroll_();
-  }, false);
-
-  window.addEventListener('resize', function() {
+  this.windowResizeListener_ = function() {
     that.onResize_();
-  }, false);
+  };
+  window.addEventListener('resize', this.windowResizeListener_, false);
 
   this.pendingCameraMoveEvent_ = true;
 };
@@ -163,6 +177,8 @@ ThreeJsCamera_.prototype.initialize_ = function() {
 /**
  * Updates the camera's position when the page is scrolled.
  *
+ * This is called by the renderer.
+ *
  * @private
  */
 ThreeJsCamera_.prototype.onScroll_ = function() {
@@ -266,9 +282,14 @@ ThreeJsCamera_.prototype.update_ = function() {
     var canvasWidth = parseInt(canvasStyle.width, 10);
     var canvasHeight = parseInt(canvasStyle.height, 10);
 
+    // The canvases stay still and the camera follows the page.
+    var viewportPosition = window['voodoo']['utility'].findViewportPosition_(
+        this.container_);
+    this.viewportPosition_ = viewportPosition;
+
     var cameraPosition = this.camera_.position;
-    cameraPosition.x = canvasWidth / 2 + window.pageXOffset;
-    cameraPosition.y = canvasHeight / 2 + window.pageYOffset;
+    cameraPosition.x = canvasWidth / 2 + viewportPosition.x;
+    cameraPosition.y = canvasHeight / 2 + viewportPosition.y;
 
     this.camera_.lookAt(new THREE.Vector3(cameraPosition.x,
         cameraPosition.y, 0));
@@ -301,6 +322,15 @@ ThreeJsCamera_.prototype.update_ = function() {
 ThreeJsCamera_.prototype.camera_ = null;
 
 
+/**
+ * Element the canvas covers, or null for the browser window.
+ *
+ * @private
+ * @type {Element}
+ */
+ThreeJsCamera_.prototype.container_ = null;
+
+
 /**
  * The camera's view frustum.
  *
@@ -318,3 +348,22 @@ ThreeJsCamera_.prototype.frustum_ = null;
  * @type {boolean}
  */
 ThreeJsCamera_.prototype.pendingCameraMoveEvent_ = false;
+
+
+/**
+ * Page position of the top left corner of the area the camera sees. This is
+ * updated when the camera moves.
+ *
+ * @private
+ * @type {Vector2_}
+ */
+ThreeJsCamera_.prototype.viewportPosition_ = null;
+
+
+/**
+ * Window resize listener registered by the camera.
+ *
+ * @private
+ * @type {?function()}
+ */
+ThreeJsCamera_.prototype.windowResizeListener_ = null;
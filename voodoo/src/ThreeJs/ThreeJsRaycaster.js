@@ -66,14 +66,18 @@ ThreeJsRaycaster_.prototype.findClosestAboveLayerIntersection_ = function(
     var obj = trigger.object_;
     var model = trigger.model_;
 
-    var intersections = this.aboveRaycaster_.intersectObject(obj, true);
+    // Disabled models are hidden and ignore the mouse.
+    if (!model['enabled'])
+      continue;
+
+    var intersection = this.findVisibleIntersection_(
+        this.aboveRaycaster_.intersectObject(obj, true));
 
     // Check for at least one intersection on the object
-    if (intersections.length <= 0)
+    if (!intersection)
       continue;
 
     // Check that the hit distance is closer than what we currently have
-    var intersection = intersections[0];
     var intersectionDistance = intersection['distance'];
     var intersectionPoint = intersection['point'];
     if (intersectionDistance <= 0 ||
@@ -127,20 +131,24 @@ ThreeJsRaycaster_.prototype.findClosestBelowLayerIntersection_ =
     var model = trigger.model_;
     var obj = trigger.object_;
 
+    // Skip disabled models here too.
+    if (!model['enabled'])
+      continue;
+
     // If the trigger has any part in the above layer, then ignore it
     // because we already checked it during the above layer checks.
     var engineOptions = this.engine_.options_;
     if (engineOptions['aboveLayer'] && model['view']['above'])
       continue;
 
-    var intersections = this.belowRaycaster_['intersectObject'](obj, true);
+    var intersection = this.findVisibleIntersection_(
+        this.belowRaycaster_['intersectObject'](obj, true));
 
     // Check for at least one intersection on the object
-    if (intersections.length <= 0)
+    if (!intersection)
       continue;
 
     // Make sure the intersection is in the below layer
-    var intersection = intersections[0];
     var intersectionPoint = intersection['point'];
     var intersectionDistance = intersection['distance'];
     if (intersectionPoint['z'] >= 0)
@@ -185,8 +193,8 @@ ThreeJsRaycaster_.prototype.findStencilLayerIntersections_ = function() {
     var model = trigger.model_;
 
     // When the view and stencil view are the same types, stencil checking
-    // doesn't matter.
-    if (model['viewType'] === model['stencilViewType'])
+    // doesn't matter. Disabled models are skipped as well.
+    if (model['viewType'] === model['stencilViewType'] || !model['enabled'])
       continue;
 
     // Check if a stencil layer could even exists at all
@@ -198,7 +206,8 @@ ThreeJsRaycaster_.prototype.findStencilLayerIntersections_ = function() {
       continue;
 
     // Check for a hit
-    if (this.belowRaycaster_.intersectObject(obj, true).length > 0)
+    if (this.findVisibleIntersection_(
+        this.belowRaycaster_.intersectObject(obj, true)))
       stencilIntersections.push(model);
   }
 
@@ -206,6 +215,44 @@ ThreeJsRaycaster_.prototype.findStencilLayerIntersections_ = function() {
 };
 
 
+/**
+ * Finds the closest intersection that can be seen under the mouse.
+ *
+ * ThreeJs raycasts ignore visibility, so this skips hits on hidden objects,
+ * which includes everything in scenes hidden because they are offscreen or
+ * their element was removed. It also skips hits on scenes whose clip rect
+ * cuts them away where the mouse is.
+ *
+ * @private
+ *
+ * @param {Array.<Object>} intersections ThreeJs intersections sorted by
+ *     distance.
+ *
+ * @return {Object} The closest visible intersection, or null for none.
+ */
+ThreeJsRaycaster_.prototype.findVisibleIntersection_ = function(
+    intersections) {
+  var mouse = this.pageMouse_;
+
+  for (var i = 0, len = intersections.length; i < len; ++i) {
+    var intersection = intersections[i];
+
+    var visible = true;
+    for (var obj = intersection['object']; obj && visible; obj = obj.parent) {
+      var clipRect = obj['voodooClipRect'];
+      visible = obj.visible && (!clipRect ||
+          (mouse.x >= clipRect[0] && mouse.y >= clipRect[1] &&
+           mouse.x < clipRect[2] && mouse.y < clipRect[3]));
+    }
+
+    if (visible)
+      return intersection;
+  }
+
+  return null;
+};
+
+
 /**
  * Raycasts based on the current mouse and returns the intersected trigger.
  *
@@ -274,9 +321,24 @@ ThreeJsRaycaster_.prototype.setMouse_ = function(mouse) {
   log_.assert_(mouse, 'mouse must be valid.',
       '(ThreeJsRaycaster_::setMouse_)');
 
-  var viewportSize = this.renderer_.viewportSize_;
-  var mx = (mouse.x / viewportSize.width) * 2 - 1;
-  var my = -(mouse.y / viewportSize.height) * 2 + 1;
+  // Convert the mouse to coordinates relative to what the cameras see. The
+  // canvases may not have moved with the page, so use the cameras' position
+  // rather than the canvases'.
+  var renderer = this.renderer_;
+  var camera = renderer.aboveLayer_ ? renderer.aboveLayer_.camera_ :
+      renderer.belowLayer_.camera_;
+  var viewportPosition = camera.viewportPosition_;
+  var viewportSize = renderer.viewportSize_;
+  var pageMouse = new Vector2_(mouse.x + window.pageXOffset,
+      mouse.y + window.pageYOffset);
+  var x = pageMouse.x - viewportPosition.x;
+  var y = pageMouse.y - viewportPosition.y;
+
+  // Clip rects are in page coordinates.
+  this.pageMouse_ = pageMouse;
+
+  var mx = (x / viewportSize.width) * 2 - 1;
+  var my = -(y / viewportSize.height) * 2 + 1;
 
   // Create the above raycaster.
   if (this.engine_.options_['aboveLayer']) {
@@ -30,11 +30,9 @@ function ThreeJsRenderer_(engine) {
   this.registerWindowEvents_();
 
   if (DEBUG || this.engine_.options_['performanceScaling']) {
-    this.fpsTimer_ = new FpsTimer_();
     this.lastValidFpsTime_ = new Date();
     this.performanceScaling_ = false;
   }
-  else this.fpsTimer_ = null;
 }
 
 
@@ -173,11 +171,12 @@ ThreeJsRenderer_.prototype.createLayers_ = function() {
   var fov = engineOptions['fov'];
   var zNear = engineOptions.zNear_;
   var zFar = engineOptions.zFar_;
+  var container = engineOptions['container'];
 
   // Create the above layer
   if (engineOptions['aboveLayer']) {
     this.aboveCamera_ = new ThreeJsCamera_(this.aboveCanvas_,
-        fov, zNear, zFar);
+        fov, zNear, zFar, container);
 
     this.aboveSceneFactory_ = new ThreeJsSceneFactory_();
 
@@ -194,7 +193,7 @@ ThreeJsRenderer_.prototype.createLayers_ = function() {
   // Create the below and stencil layer
   if (engineOptions['belowLayer']) {
     this.belowCamera_ = new ThreeJsCamera_(this.belowCanvas_,
-        fov, zNear, zFar);
+        fov, zNear, zFar, container);
 
     this.belowSceneFactory_ = new ThreeJsSceneFactory_();
     this.belowTriggersFactory_ = new ThreeJsTriggersFactory_();
@@ -206,7 +205,7 @@ ThreeJsRenderer_.prototype.createLayers_ = function() {
 
     if (engineOptions['stencils']) {
       this.stencilCamera_ = new ThreeJsCamera_(this.belowCanvas_,
-          fov, zNear, zFar);
+          fov, zNear, zFar, container);
 
       this.belowStencilSceneFactory_ = new ThreeJsSceneFactory_();
       this.belowStencilTriggersFactory_ = new ThreeJsTriggersFactory_();
@@ -221,7 +220,7 @@ ThreeJsRenderer_.prototype.createLayers_ = function() {
   // Create the seam layer and seam stencil layer
   if (engineOptions['seamLayer']) {
     this.seamCamera_ = new ThreeJsCamera_(this.seamCanvas_,
-        fov, zNear, zFar);
+        fov, zNear, zFar, container);
 
     this.seamSceneFactory_ = new ThreeJsSceneFactory_();
 
@@ -239,7 +238,7 @@ ThreeJsRenderer_.prototype.createLayers_ = function() {
     if (engineOptions['stencils']) {
       if (!this.stencilCamera_)
         this.stencilCamera_ = new ThreeJsCamera_(this.seamCanvas_,
-            fov, zNear, zFar);
+            fov, zNear, zFar, container);
 
       this.seamStencilSceneFactory_ = new ThreeJsSceneFactory_();
       this.seamStencilTriggersFactory_ = new ThreeJsTriggersFactory_();
@@ -253,10 +252,6 @@ ThreeJsRenderer_.prototype.createLayers_ = function() {
 
   this.pendingUpdateLayerZBoundaries_ = false;
   this.updateLayerZBoundaries_();
-  var that = this;
-  window.addEventListener('resize', function() {
-    that.pendingUpdateLayerZBoundaries_ = true;
-  }, false);
 };
 
 
@@ -266,20 +261,44 @@ ThreeJsRenderer_.prototype.createLayers_ = function() {
  * @private
  */
 ThreeJsRenderer_.prototype.destroy_ = function() {
-  var engineOptions = this.engine_.options_;
   var documentBody = document.body;
 
-  if (engineOptions['aboveLayer'])
+  window.removeEventListener('scroll', this.windowScrollListener_, true);
+  window.removeEventListener('resize', this.windowResizeListener_, false);
+  this.windowScrollListener_ = null;
+  this.windowResizeListener_ = null;
+
+  if (this.containerResizeObserver_) {
+    this.containerResizeObserver_.disconnect();
+    this.containerResizeObserver_ = null;
+  }
+
+  for (var i = 0, len = this.layers_.length; i < len; ++i)
+    this.layers_[i].camera_.destroy_();
+
+  // Check the canvases rather than the options since the options may have
+  // changed since this renderer was created.
+  if (this.aboveCanvas_)
     documentBody.removeChild(this.aboveCanvas_);
 
-  if (engineOptions['belowLayer'])
+  if (this.belowCanvas_)
     documentBody.removeChild(this.belowCanvas_);
 
-  if (engineOptions['seamLayer'])
+  if (this.seamCanvas_)
     documentBody.removeChild(this.seamCanvas_);
+};
+
 
-  if (DEBUG || engineOptions['performanceScaling'])
-    this.fpsTimer_.destroy_();
+/**
+ * Returns whether the canvases are fixed to the browser window.
+ *
+ * @private
+ *
+ * @return {boolean} True if the canvases use fixed positioning.
+ */
+ThreeJsRenderer_.prototype.isFixed_ = function() {
+  var engineOptions = this.engine_.options_;
+  return engineOptions['fixedCanvases'] && !engineOptions['container'];
 };
 
 
@@ -313,21 +332,38 @@ ThreeJsRenderer_.prototype.markDirty_ = function() {
 
 
 /**
- * Called when the window loses focus.
+ * Updates attached models whenever an element inside the page is scrolled.
  *
  * @private
  */
-ThreeJsRenderer_.prototype.onBlur_ = function() {
+ThreeJsRenderer_.prototype.onElementScroll_ = function() {
+  this.isDirty_ = true;
+
+  this.engine_.tracker_.invalidate_();
+
+  if (this.engine_.options_['realtime']) {
+    this.engine_.tracker_.update_();
+    this.render_();
+  }
+};
+
+
+/**
+ * Called when the engine pauses rendering.
+ *
+ * @private
+ */
+ThreeJsRenderer_.prototype.onPause_ = function() {
   // No-op.
 };
 
 
 /**
- * Called when the window regains focus.
+ * Called when the engine resumes rendering.
  *
  * @private
  */
-ThreeJsRenderer_.prototype.onFocus_ = function() {
+ThreeJsRenderer_.prototype.onResume_ = function() {
   // Reset the performance scaling detection timer.
   this.lastValidFpsTime_ = new Date();
 };
@@ -383,14 +419,17 @@ ThreeJsRenderer_.prototype.onResize_ = function(rerender) {
 
   // This code forces webkit to redraw. It's needed because of a bug where
   // Chrome does not repaint some elements under the fullscreen canvas on
-  // browser resize
+  // browser resize. Fixed canvases and canvases inside a container don't
+  // move with the page, so we leave the body alone.
 
-  var documentBody = document.body;
-  var documentBodyStyle = documentBody.style;
+  if (!this.isFixed_() && !engineOptions['container']) {
+    var documentBody = document.body;
+    var documentBodyStyle = documentBody.style;
 
-  documentBodyStyle.display = 'none';
-  var unused = documentBody.offsetHeight;
-  documentBodyStyle.display = 'block';
+    documentBodyStyle.display = 'none';
+    var unused = documentBody.offsetHeight;
+    documentBodyStyle.display = 'block';
+  }
 
 
   this.isDirty_ = true;
@@ -408,13 +447,24 @@ ThreeJsRenderer_.prototype.onResize_ = function(rerender) {
  * @param {boolean} rerender Whether to re-render if realtime is enabled.
  */
 ThreeJsRenderer_.prototype.onScroll_ = function(rerender) {
-  this.targetLeft = window.pageXOffset + 'px';
-  this.targetTop = window.pageYOffset + 'px';
+  // Move the cameras here rather than in their own listeners so that they
+  // are up to date when we render below.
+  for (var i = 0, len = this.layers_.length; i < len; ++i)
+    this.layers_[i].camera_.onScroll_();
+
+  this.viewportPosition_ = window['voodoo']['utility'].findViewportPosition_(
+      this.engine_.options_['container']);
+
+  this.targetLeft = this.viewportPosition_.x + 'px';
+  this.targetTop = this.viewportPosition_.y + 'px';
 
   this.isDirty_ = true;
+  this.engine_.tracker_.invalidate_();
 
-  if (this.engine_.options_['realtime'] && rerender)
+  if (this.engine_.options_['realtime'] && rerender) {
+    this.engine_.tracker_.update_();
     this.render_();
+  }
 };
 
 
@@ -429,14 +479,40 @@ ThreeJsRenderer_.prototype.registerWindowEvents_ = function() {
   log_.info_('Registering for window events');
 
   // Register the canvasRenderer's onScroll and onResize events with the
-  // window so we can adjust our canvas size
+  // window so we can adjust our canvas size. Scroll events don't bubble, so
+  // we capture them to also hear about elements inside the page scrolling.
   var that = this;
-  window.addEventListener('scroll', function(event) {
-    that.onScroll_.call(that, true);
-  }, false);
-  window.addEventListener('resize', function(event) {
+  this.windowScrollListener_ = function(event) {
+    var target = event.target;
+    if (target === window || target === document ||
+        that.engine_.options_['container'])
+      that.onScroll_.call(that, true);
+    else that.onElementScroll_.call(that);
+  };
+  window.addEventListener('scroll', this.windowScrollListener_, true);
+
+  this.windowResizeListener_ = function(event) {
+    that.pendingUpdateLayerZBoundaries_ = true;
     that.onResize_.call(that, true);
-  }, false);
+
+    // The container may have moved when the page reflowed.
+    if (that.engine_.options_['container'])
+      that.onScroll_.call(that, true);
+  };
+  window.addEventListener('resize', this.windowResizeListener_, false);
+
+  // A container may change size without the window resizing, so observe it
+  // directly when the browser supports it.
+  var container = this.engine_.options_['container'];
+  var ResizeObserver = window['ResizeObserver'];
+  if (container && ResizeObserver) {
+    this.containerResizeObserver_ = new ResizeObserver(function() {
+      that.pendingUpdateLayerZBoundaries_ = true;
+      that.onResize_.call(that, true);
+      that.onScroll_.call(that, true);
+    });
+    this.containerResizeObserver_.observe(container);
+  }
 };
 
 
@@ -448,6 +524,12 @@ ThreeJsRenderer_.prototype.registerWindowEvents_ = function() {
 ThreeJsRenderer_.prototype.render_ = function() {
   var rendered = false;
 
+  var profiler = this.engine_.profiler_;
+  var renderStartTime = profiler ? profiler.start_() : 0;
+  var layerStartTime = 0;
+
+  this.engine_.dispatchFrameEvent_('beforerender');
+
   var engineOptions = this.engine_.options_;
   var enableAboveLayer = engineOptions['aboveLayer'];
   var enableBelowLayer = engineOptions['belowLayer'];
@@ -461,15 +543,17 @@ ThreeJsRenderer_.prototype.render_ = function() {
 
   this.updateCameras_();
 
-  // Detect performance drops and drop the canvas resolution if it's bad.
-  if (DEBUG || enablePerformanceScaling) {
-    this.fpsTimer_.frame_();
+  // Count the frame whenever there is a profiler, which debug builds,
+  // profiling, and performance scaling all create. Then detect performance
+  // drops and drop the canvas resolution if it's bad.
+  if (profiler) {
+    profiler.frame_();
 
     if (enablePerformanceScaling && !this.performanceScaling_) {
 
-      var fps = this.fpsTimer_.fps_;
+      var fps = profiler.fps_;
       if (fps > engineOptions.performanceScalingFpsThreshold_ ||
-          this.engine_.lastTicks_ === 0) {
+          !this.engine_.hasFocus_()) {
 
         this.lastValidFpsTime_ = new Date();
 
@@ -499,8 +583,8 @@ ThreeJsRenderer_.prototype.render_ = function() {
 
         belowRendererContext.disable(belowRendererContext.STENCIL_TEST);
         this.belowRenderer_.autoClear = true;
-        this.belowRenderer_.render(this.belowStencilSceneFactory_.scene_,
-            this.belowCamera_.camera_);
+        this.renderScene_(this.belowRenderer_,
+            this.belowStencilSceneFactory_.scene_, this.belowCamera_.camera_);
 
         rendered = true;
       }
@@ -515,6 +599,7 @@ ThreeJsRenderer_.prototype.render_ = function() {
 
     if (enableBelowLayer && (this.isRenderNeeded_(this.belowLayer_) ||
         this.isRenderNeeded_(this.belowStencilLayer_))) {
+      if (profiler) layerStartTime = profiler.start_();
 
       if (!enableStencils || (DEBUG && debugDisableStencils)) {
         var belowRendererContext = this.belowRenderer_.context;
@@ -534,24 +619,28 @@ ThreeJsRenderer_.prototype.render_ = function() {
         context.stencilFunc(context.NEVER, 1, 0xffffffff);
         this.belowRenderer_.autoClear = false;
         this.belowRenderer_.clear();
-        this.belowRenderer_.render(this.belowStencilSceneFactory_.scene_,
+        this.renderScene_(this.belowRenderer_,
+            this.belowStencilSceneFactory_.scene_,
             this.stencilCamera_.camera_);
 
         context.stencilOp(context.KEEP, context.KEEP, context.KEEP);
         context.stencilFunc(context.EQUAL, 1, 0xffffffff);
       }
 
-      this.belowRenderer_.render(this.belowSceneFactory_.scene_,
+      this.renderScene_(this.belowRenderer_, this.belowSceneFactory_.scene_,
           this.belowCamera_.camera_);
 
+      if (profiler) profiler.recordLayer_('below', layerStartTime);
       rendered = true;
     }
 
     if (enableAboveLayer && this.isRenderNeeded_(this.aboveLayer_)) {
+      if (profiler) layerStartTime = profiler.start_();
 
-      this.aboveRenderer_.render(this.aboveSceneFactory_.scene_,
+      this.renderScene_(this.aboveRenderer_, this.aboveSceneFactory_.scene_,
           this.aboveCamera_.camera_);
 
+      if (profiler) profiler.recordLayer_('above', layerStartTime);
       rendered = true;
     }
 
@@ -562,6 +651,7 @@ ThreeJsRenderer_.prototype.render_ = function() {
 
     if (enableSeamLayer && (this.isRenderNeeded_(this.seamLayer_) ||
         this.isRenderNeeded_(this.seamStencilLayer_))) {
+      if (profiler) layerStartTime = profiler.start_();
 
       var seam = engineOptions.seamPixels_;
       var zCamera = this.seamCamera_['position']['z'];
@@ -592,11 +682,12 @@ ThreeJsRenderer_.prototype.render_ = function() {
         context.stencilOp(context.REPLACE, context.REPLACE, context.REPLACE);
         context.stencilFunc(context.NEVER, 0, 0xffffffff);
 
-        this.seamRenderer_.render(this.seamStencilSceneFactory_.scene_,
+        this.renderScene_(this.seamRenderer_,
+            this.seamStencilSceneFactory_.scene_,
             this.stencilCamera_.camera_);
 
         this.seamCamera_.setZNearAndFar_(zNear, zCamera);
-        this.seamRenderer_.render(this.seamSceneFactory_.scene_,
+        this.renderScene_(this.seamRenderer_, this.seamSceneFactory_.scene_,
             this.seamCamera_.camera_);
       }
 
@@ -608,45 +699,56 @@ ThreeJsRenderer_.prototype.render_ = function() {
       context.stencilFunc(context.NEVER, 1, 0xffffffff);
 
       this.seamCamera_.setZNearAndFar_(engineOptions.zNear_, zNear);
-      this.seamRenderer_.render(seamSceneFactoryScene, seamCameraCamera);
+      this.renderScene_(this.seamRenderer_, seamSceneFactoryScene,
+          seamCameraCamera);
 
       // Draw what's remaining normally and it will be our seam.
       context.stencilOp(context.KEEP, context.KEEP, context.KEEP);
       context.stencilFunc(context.NOTEQUAL, 1, 0xffffffff);
 
       this.seamCamera_.setZNearAndFar_(zNear, zFar);
-      this.seamRenderer_.render(seamSceneFactoryScene, seamCameraCamera);
+      this.renderScene_(this.seamRenderer_, seamSceneFactoryScene,
+          seamCameraCamera);
 
+      if (profiler) profiler.recordLayer_('seam', layerStartTime);
       rendered = true;
     }
   }
 
   // Force rendering to complete on all layers so there is no slicing from
   // timing differences. Then move the canvases to the target position right
-  // after we render.
+  // after we render. Fixed canvases never move.
+
+  var moveCanvases = !this.isFixed_();
 
   if (engineOptions['aboveLayer']) {
     this.aboveRenderer_.context.finish();
 
-    var aboveCanvasStyle = this.aboveCanvas_.style;
-    aboveCanvasStyle.left = this.targetLeft;
-    aboveCanvasStyle.top = this.targetTop;
+    if (moveCanvases) {
+      var aboveCanvasStyle = this.aboveCanvas_.style;
+      aboveCanvasStyle.left = this.targetLeft;
+      aboveCanvasStyle.top = this.targetTop;
+    }
   }
 
   if (engineOptions['belowLayer']) {
     this.belowRenderer_.context.finish();
 
-    var belowCanvasStyle = this.belowCanvas_.style;
-    belowCanvasStyle.left = this.targetLeft;
-    belowCanvasStyle.top = this.targetTop;
+    if (moveCanvases) {
+      var belowCanvasStyle = this.belowCanvas_.style;
+      belowCanvasStyle.left = this.targetLeft;
+      belowCanvasStyle.top = this.targetTop;
+    }
   }
 
   if (engineOptions['seamLayer']) {
     this.seamRenderer_.context.finish();
 
-    var seamCanvasStyle = this.seamCanvas_.style;
-    seamCanvasStyle.left = this.targetLeft;
-    seamCanvasStyle.top = this.targetTop;
+    if (moveCanvases) {
+      var seamCanvasStyle = this.seamCanvas_.style;
+      seamCanvasStyle.left = this.targetLeft;
+      seamCanvasStyle.top = this.targetTop;
+    }
   }
 
   this.isDirty_ = false;
@@ -657,8 +759,97 @@ ThreeJsRenderer_.prototype.render_ = function() {
   if (this.seamLayer_) this.seamLayer_.clearDirtyFlags_();
   if (this.seamStencilLayer_) this.seamStencilLayer_.clearDirtyFlags_();
 
-  if (rendered && this.fpsTimer_)
-    this.fpsTimer_.render_();
+  if (rendered && profiler)
+    profiler.render_();
+
+  this.engine_.dispatchFrameEvent_('afterrender', rendered);
+
+  if (profiler) profiler.recordSection_('render', renderStartTime);
+};
+
+
+/**
+ * Renders a layer's scene. Objects clipped to an area of the page, such as
+ * models attached to elements in scrolled panes, are rendered afterwards one
+ * at a time with the scissor test limiting them to their clip rects.
+ *
+ * @private
+ *
+ * @param {THREE.WebGLRenderer} renderer Renderer for the layer's canvas.
+ * @param {THREE.Scene} scene Scene to render.
+ * @param {THREE.Camera} camera Camera to render with.
+ */
+ThreeJsRenderer_.prototype.renderScene_ = function(renderer, scene, camera) {
+  var children = scene.children;
+  var numChildren = children.length;
+
+  var clipped = [];
+  for (var childIndex = 0; childIndex < numChildren; ++childIndex) {
+    var child = children[childIndex];
+    if (child.visible && child['voodooClipRect'])
+      clipped.push(child);
+  }
+
+  var numClipped = clipped.length;
+  if (numClipped === 0) {
+    renderer.render(scene, camera);
+    return;
+  }
+
+  // Render everything that isn't clipped first.
+  for (var hideIndex = 0; hideIndex < numClipped; ++hideIndex)
+    clipped[hideIndex].visible = false;
+
+  renderer.render(scene, camera);
+
+  // Then hide it so that only one clipped object renders at a time.
+  var unclipped = [];
+  for (var unclippedIndex = 0; unclippedIndex < numChildren; ++unclippedIndex) {
+    var unclippedChild = children[unclippedIndex];
+    if (unclippedChild.visible) {
+      unclippedChild.visible = false;
+      unclipped.push(unclippedChild);
+    }
+  }
+
+  // The scissor rect is in the same units as the renderer's viewport.
+  var scale = (window.devicePixelRatio || 1.0) * this.canvasScale_;
+  var viewportPosition = this.viewportPosition_;
+  var viewportSize = this.viewportSize_;
+
+  var autoClear = renderer.autoClear;
+  renderer.autoClear = false;
+  renderer.enableScissorTest(true);
+
+  for (var clippedIndex = 0; clippedIndex < numClipped; ++clippedIndex) {
+    var object = clipped[clippedIndex];
+    var clipRect = object['voodooClipRect'];
+
+    var left = Math.max(clipRect[0] - viewportPosition.x, 0);
+    var top = Math.max(clipRect[1] - viewportPosition.y, 0);
+    var right = Math.min(clipRect[2] - viewportPosition.x,
+        viewportSize.width);
+    var bottom = Math.min(clipRect[3] - viewportPosition.y,
+        viewportSize.height);
+
+    if (left < right && top < bottom) {
+      renderer.setScissor(left * scale, (viewportSize.height - bottom) * scale,
+          (right - left) * scale, (bottom - top) * scale);
+
+      object.visible = true;
+      renderer.render(scene, camera);
+      object.visible = false;
+    }
+  }
+
+  renderer.enableScissorTest(false);
+  renderer.autoClear = autoClear;
+
+  for (var showIndex = 0; showIndex < numClipped; ++showIndex)
+    clipped[showIndex].visible = true;
+  for (var restoreIndex = 0, numUnclipped = unclipped.length;
+      restoreIndex < numUnclipped; ++restoreIndex)
+    unclipped[restoreIndex].visible = true;
 };
 
 
@@ -703,13 +894,23 @@ ThreeJsRenderer_.prototype.setupFullscreenCanvasRenderer_ =
   var canvas = canvasRenderer.domElement;
   var canvasStyle = canvas.style;
 
+  // The canvases are restyled as the page scrolls. That never moves the
+  // page's elements, so the tracker can skip measuring them.
+  canvas['VoodooIgnoreMutations'] = true;
+
   // Reverse the face culling order on the renderer. Normally, RHS like
   // Three.Js would cull CCW tris, but see Camera.js for an explanation.
   // See Camera.js for an explanation.
   canvasRenderer.setFaceCulling(THREE.CullFaceFront,
       THREE.FrontFaceDirectionCCW);
 
-  canvasStyle.position = 'absolute';
+  if (this.isFixed_()) {
+    canvasStyle.position = 'fixed';
+    canvasStyle.left = '0px';
+    canvasStyle.top = '0px';
+  } else {
+    canvasStyle.position = 'absolute';
+  }
 
   // This lets mouse events fall through to underlying objects so we can
   // select text and still use the page even when a canvas is on top.
@@ -799,11 +1000,28 @@ ThreeJsRenderer_.prototype.updateLayerZBoundaries_ = function() {
 
 
 /**
- * Gets the size of the client area of the browser.
+ * Gets the size of the client area of the browser, or of the container if
+ * there is one.
  *
  * @private
  */
 ThreeJsRenderer_.prototype.updateViewportSize_ = function() {
+  var container = this.engine_.options_['container'];
+  if (container) {
+    this.viewportSize_ = new Size2_(container.clientWidth,
+        container.clientHeight);
+    return;
+  }
+
+  // The root element's client area is the window minus its scroll bars, so
+  // there is no need to measure a test div.
+  if (this.isFixed_()) {
+    var documentElement = document.documentElement;
+    this.viewportSize_ = new Size2_(documentElement.clientWidth,
+        documentElement.clientHeight);
+    return;
+  }
+
   var testDiv = document.createElement('div');
   var documentElement = document.documentElement;
 
@@ -832,6 +1050,11 @@ ThreeJsRenderer_.prototype.validateAndPrepareWebpage_ = function() {
   log_.assert_(document.body, 'document.body is undefined',
       '(ThreeJsRenderer_::validateAndPrepareWebpage_)');
 
+  // Fixed canvases and canvases inside a container don't need the body to
+  // change.
+  if (this.isFixed_() || this.engine_.options_['container'])
+    return;
+
   var documentBodyStyle = document.body.style;
   documentBodyStyle.width = '100%';
   documentBodyStyle.height = '100%';
@@ -846,9 +1069,36 @@ ThreeJsRenderer_.prototype.validateAndPrepareWebpage_ = function() {
 };
 
 
+/**
+ * Observer of the container's size, when rendering into a container.
+ *
+ * @private
+ * @type {ResizeObserver}
+ */
+ThreeJsRenderer_.prototype.containerResizeObserver_ = null;
+
+
 /**
  * The layers of rendering space.
  *
  * @private
  */
 ThreeJsRenderer_.prototype.layers_ = null;
+
+
+/**
+ * Window resize listener registered by the renderer.
+ *
+ * @private
+ * @type {?function(Event)}
+ */
+ThreeJsRenderer_.prototype.windowResizeListener_ = null;
+
+
+/**
+ * Window scroll listener registered by the renderer.
+ *
+ * @private
+ * @type {?function(Event)}
+ */
+ThreeJsRenderer_.prototype.windowScrollListener_ = null;
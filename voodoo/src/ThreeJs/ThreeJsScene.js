@@ -25,7 +25,7 @@ function ThreeJsScene_(scene, view) {
   this.view_ = view;
 
   this.tracker_ = window['voodoo']['engine'].tracker_;
-  this.trackId_ = null;
+  this.attachments_ = [];
 
   // All objects in the local scene are added to a parent object which
   // is added to the root scene. This enables us to set local coordinate
@@ -33,6 +33,13 @@ function ThreeJsScene_(scene, view) {
   this.parent_ = new THREE.Object3D();
   this.scene_.add(this.parent_);
 
+  // The parent's matrix is set directly so it can hold the full 2D transform
+  // of an attached element, including skew.
+  this.parent_.matrixAutoUpdate = false;
+  this.transform_ = [1, 0, 0, 1, 0, 0, 1];
+  this.pageTransform_ = null;
+  this.childScenes_ = [];
+
   this.objects_ = [];
   this.meshes_ = [];
   this.dispatcher_ = new Dispatcher_();
@@ -100,99 +107,139 @@ ThreeJsScene_.prototype['add'] = function(object) {
 
 /**
  * Sets the local coordinate system of the scene by aligning to an HTML element.
+ * The scene follows the element's CSS transforms, so it rotates and scales
+ * with the element.
+ *
+ * The options are:
+ *
+ *    anchor: Where the origin is on the element. One of center, top, bottom,
+ *      left, right, topleft, topright, bottomleft, or bottomright. Default is
+ *      center.
+ *    offset: Pixels to move the origin from the anchor, as an object with x
+ *      and y or an array. The offset turns with the element.
+ *    scale: How big one unit is. With pixels, one unit is one pixel. With
+ *      stretch, one x unit is the element's width and one y unit is its
+ *      height. With contain or cover, one unit along both axes is the
+ *      element's smaller or larger side. Default is pixels.
+ *    zscale: How big one z unit is. With none, one z unit is one pixel. With
+ *      average, min, or max, it is the average, smaller, or larger of the x
+ *      and y units. Default is average.
+ *    destroyOnRemove: If true, the model is destroyed when any of the
+ *      elements is removed from the document. If false, the scene is hidden
+ *      until the element is inserted again. Either way, the model receives a
+ *      detached event. Default is false.
+ *
+ * The older form attach(element, center, pixels, zscale, destroyOnRemove)
+ * with booleans is still supported.
+ *
+ * A scene may be attached to several elements at once, such as to connect
+ * them. The first element sets the local coordinate system and the others
+ * are only tracked. Each element fires its own move and resize events, with
+ * the element as the event's object, and getRect finds where it is.
  *
  * @this {ThreeJsScene_}
  *
- * @param {HTMLElement} element HTML element to attach to. If null, the
- *    local coordinate system is reset back to the top left corner of the page
- *    and scaled in pixels.
- * @param {boolean=} opt_center If true, sets the origin to the element's
- *    center. If false, sets the origin to the element's top left corner.
- * @param {boolean=} opt_pixels If true, one unit is one pixel. If false, one
- *    x unit is the element's width, and one y unit is the unit's height. Z
- *    is in pixels regardless.
- * @param {boolean=} opt_zscale If true, the z dimension is also scaled
- *    using the average of the width and height. If false, no scaling
- *    along the z axis is performed. Default is true.
- */
-ThreeJsScene_.prototype['attach'] = function(element, opt_center, opt_pixels,
-    opt_zscale) {
+ * @param {HTMLElement|Array.<HTMLElement>} element HTML element or elements
+ *    to attach to.
+ * @param {(Object|boolean)=} opt_options Attach options, or whether to
+ *    anchor at the center in the older form.
+ * @param {boolean=} opt_pixels Whether to scale in pixels in the older form.
+ * @param {boolean=} opt_zscale Whether to scale z in the older form.
+ * @param {boolean=} opt_destroyOnRemove Whether to destroy the model when the
+ *    element is removed in the older form.
+ */
+ThreeJsScene_.prototype['attach'] = function(element, opt_options, opt_pixels,
+    opt_zscale, opt_destroyOnRemove) {
   log_.assert_(element, 'element must be valid.', '(ThreeJsScene_::attach)');
 
-  var center = typeof opt_center !== 'undefined' ? opt_center : true;
-  var pixels = typeof opt_pixels !== 'undefined' ? opt_pixels : true;
-  var zscale = typeof opt_zscale !== 'undefined' ? opt_zscale : true;
+  // The first element sets the local coordinate system. The others are only
+  // tracked.
+  var elements = element instanceof Array ? element : [element];
+  log_.assert_(elements.length > 0, 'element must not be empty.',
+      '(ThreeJsScene_::attach)');
+  element = elements[0];
+
+  var options = this.createAttachOptions_(opt_options, opt_pixels, opt_zscale,
+      opt_destroyOnRemove);
 
   // Release the old tracker
-  if (this.trackId_ !== null)
+  if (this.attachments_.length > 0)
     this['detach']();
 
+  this.destroyOnRemove_ = options.destroyOnRemove_;
+
   var voodooEvent = window['voodoo']['Event'];
 
   // Attach to the new element and setup the callbacks.
   var that = this;
   if (element) {
-    this.trackId_ = this.tracker_.track_(element, function(x, y, w, h, move,
-        resize) {
-          var parent = that.parent_;
-          var parentPosition = parent.position;
-          var parentScale = parent.scale;
-
-          if (center) {
-            parentPosition.x = x + w / 2.0;
-            parentPosition.y = y + h / 2.0;
-          } else {
-            parentPosition.x = x;
-            parentPosition.y = y;
+    var attachment = this.createAttachment_(element);
+    attachment.trackId_ = this.tracker_.track_(element, function(x, y, w, h,
+        move, resize, visible, transform, inDocument, clipRect) {
+          // Hide the objects while the element is out of the document. The
+          // engine tells the model on its next update.
+          attachment.removed_ = !inDocument;
+          if (!inDocument) {
+            that.updateVisibility_();
+            return;
           }
-
-          if (pixels) {
-            parentScale.x = parentScale.y = 1.0;
-          } else {
-            parentScale.x = w;
-            parentScale.y = h;
+          var a = transform[0], b = transform[1];
+          var c = transform[2], d = transform[3];
+
+          // The anchor and offset are in the element's own pixels, so they
+          // are transformed along with it.
+          var anchorX = options.anchorX_ * w + options.offsetX_;
+          var anchorY = options.anchorY_ * h + options.offsetY_;
+          var originX = x + a * anchorX + c * anchorY;
+          var originY = y + b * anchorX + d * anchorY;
+
+          var unitX = 1.0;
+          var unitY = 1.0;
+          switch (options.scale_) {
+            case 'stretch':
+              unitX = w;
+              unitY = h;
+              break;
+            case 'contain':
+              unitX = unitY = Math.min(w, h);
+              break;
+            case 'cover':
+              unitX = unitY = Math.max(w, h);
+              break;
           }
 
-          if (zscale) {
-            parentScale.z = (parentScale.x + parentScale.y) / 2.0;
-          } else {
-            parentScale.z = 1.0;
+          // Z follows the size of the x and y units on the page.
+          var pageUnitX = unitX * Math.sqrt(a * a + b * b);
+          var pageUnitY = unitY * Math.sqrt(c * c + d * d);
+          var unitZ = 1.0;
+          switch (options.zscale_) {
+            case 'average':
+              unitZ = (pageUnitX + pageUnitY) / 2.0;
+              break;
+            case 'min':
+              unitZ = Math.min(pageUnitX, pageUnitY);
+              break;
+            case 'max':
+              unitZ = Math.max(pageUnitX, pageUnitY);
+              break;
           }
 
+          that.setPageTransform_([a * unitX, b * unitX, c * unitY,
+              d * unitY, originX, originY, unitZ]);
+
           that.parent_.updateMatrixWorld(true);
           that.isDirty_ = true;
 
-          if (move) {
-            var event = new voodooEvent('move');
-            event.object = element;
-
-            var eventPage = event['page'];
-            eventPage['x'] = x;
-            eventPage['y'] = y;
-
-            var eventSize = event['size'];
-            eventSize['x'] = w;
-            eventSize['y'] = h;
-
-            that.dispatcher_.dispatchEvent_(null, event);
-          }
-
-          if (resize) {
-            var event = new voodooEvent('resize');
-            event.object = element;
-
-            var eventPage = event['page'];
-            eventPage['x'] = x;
-            eventPage['y'] = y;
-
-            var eventSize = event['size'];
-            eventSize['x'] = w;
-            eventSize['y'] = h;
+          that.onAttachmentChange_(attachment, x, y, w, h, move, resize,
+              visible, transform, clipRect);
 
-            that.dispatcher_.dispatchEvent_(null, event);
-          }
+          // Hide the objects when the element is scrolled out of view.
+          that.updateVisibility_();
         });
 
+    for (var i = 1, len = elements.length; i < len; ++i)
+      this.trackAttachment_(elements[i]);
+
     var event = new voodooEvent('attach');
     event.object = element;
     this.dispatcher_.dispatchEvent_(this.view_, event);
@@ -209,19 +256,59 @@ ThreeJsScene_.prototype['detach'] = function() {
   var event = new window['voodoo']['Event']('detach');
   this.dispatcher_.dispatchEvent_(null, event);
 
-  this.tracker_.release_(this.trackId_);
-  this.trackId_ = null;
+  var attachments = this.attachments_;
+  for (var i = 0, len = attachments.length; i < len; ++i)
+    this.tracker_.release_(attachments[i].trackId_);
+  this.attachments_ = [];
 
-  var parentPosition = this.parent_.position;
-  var parentScale = this.parent_.scale;
-
-  parentPosition.x = parentPosition.y = 0;
-  parentScale.x = parentScale.y = 1;
+  this.pageTransform_ = null;
+  this.setTransform_([1, 0, 0, 1, 0, 0, 1]);
+  this.parent_['voodooClipRect'] = null;
+  this.updateVisibility_();
 
   this.parent_.updateMatrixWorld(true);
 };
 
 
+/**
+ * Finds the area an attached element covers in local coordinates. This is
+ * the element's bounding box on the page, so it includes any CSS transforms.
+ *
+ * @this {ThreeJsScene_}
+ *
+ * @param {HTMLElement} element One of the elements the scene is attached to.
+ *
+ * @return {Object} The x and y of the top left corner with the width and
+ *    height, or null if the element isn't attached or in the document.
+ */
+ThreeJsScene_.prototype['getRect'] = function(element) {
+  log_.assert_(element, 'element must be valid.', '(ThreeJsScene_::getRect)');
+
+  var attachments = this.attachments_;
+  for (var i = 0, len = attachments.length; i < len; ++i) {
+    var attachment = attachments[i];
+    if (attachment.element_ !== element)
+      continue;
+
+    var bounds = attachment.bounds_;
+    if (!bounds)
+      return null;
+
+    var topLeft = this['pageToLocal']([bounds[0], bounds[1], 0]);
+    var bottomRight = this['pageToLocal']([bounds[2], bounds[3], 0]);
+
+    return {
+      'x': topLeft[0],
+      'y': topLeft[1],
+      'width': bottomRight[0] - topLeft[0],
+      'height': bottomRight[1] - topLeft[1]
+    };
+  }
+
+  return null;
+};
+
+
 /**
  * Converts a coordinate from local-space to page-space
  * when the scene is attached to an HTML element.
@@ -236,22 +323,21 @@ ThreeJsScene_.prototype['localToPage'] = function(coordinate) {
   log_.assert_(coordinate, 'coordinate must be valid.',
       '(ThreeJsScene_::localToPage)');
 
-  var parentPosition = this.parent_.position;
-  var parentScale = this.parent_.scale;
+  var t = this.findPageTransform_();
 
   if (typeof coordinate.x !== 'undefined') {
     // Object with XYZ
     return {
-      x: coordinate.x * parentScale.x + parentPosition.x,
-      y: coordinate.y * parentScale.y + parentPosition.y,
-      z: coordinate.z * parentScale.z + parentPosition.z
+      x: t[0] * coordinate.x + t[2] * coordinate.y + t[4],
+      y: t[1] * coordinate.x + t[3] * coordinate.y + t[5],
+      z: t[6] * coordinate.z
     };
   } else {
     // Array
     return [
-      coordinate[0] * parentScale.x + parentPosition.x,
-      coordinate[1] * parentScale.y + parentPosition.y,
-      coordinate[2] * parentScale.z + parentPosition.z
+      t[0] * coordinate[0] + t[2] * coordinate[1] + t[4],
+      t[1] * coordinate[0] + t[3] * coordinate[1] + t[5],
+      t[6] * coordinate[2]
     ];
   }
 };
@@ -297,22 +383,26 @@ ThreeJsScene_.prototype['pageToLocal'] = function(coordinate) {
   log_.assert_(coordinate, 'coordinate must be valid.',
       '(ThreeJsScene_::pageToLocal)');
 
-  var parentPosition = this.parent_.position;
-  var parentScale = this.parent_.scale;
+  var t = this.findPageTransform_();
+  var determinant = t[0] * t[3] - t[2] * t[1];
 
   if (typeof coordinate.x !== 'undefined') {
     // Object with XYZ
+    var dx = coordinate.x - t[4];
+    var dy = coordinate.y - t[5];
     return {
-      x: (coordinate.x - parentPosition.x) / parentScale.x,
-      y: (coordinate.y - parentPosition.y) / parentScale.y,
-      z: (coordinate.z - parentPosition.z) / parentScale.z
+      x: (t[3] * dx - t[2] * dy) / determinant,
+      y: (t[0] * dy - t[1] * dx) / determinant,
+      z: coordinate.z / t[6]
     };
   } else {
     // Array
+    var dx = coordinate[0] - t[4];
+    var dy = coordinate[1] - t[5];
     return [
-      (coordinate[0] - parentPosition.x) / parentScale.x,
-      (coordinate[1] - parentPosition.y) / parentScale.y,
-      (coordinate[2] - parentPosition.z) / parentScale.z
+      (t[3] * dx - t[2] * dy) / determinant,
+      (t[0] * dy - t[1] * dx) / determinant,
+      coordinate[2] / t[6]
     ];
   }
 };
@@ -353,22 +443,186 @@ ThreeJsScene_.prototype['remove'] = function(object) {
 };
 
 
+/**
+ * Adds an element to the list of elements the scene is attached to.
+ *
+ * @private
+ *
+ * @param {HTMLElement} element Element being attached.
+ *
+ * @return {Object} The attachment, whose track id the caller sets.
+ */
+ThreeJsScene_.prototype.createAttachment_ = function(element) {
+  var attachment = {
+    element_: element,
+    trackId_: null,
+    bounds_: null,
+    visible_: true,
+    clipRect_: null,
+    removed_: false
+  };
+
+  this.attachments_.push(attachment);
+  return attachment;
+};
+
+
+/**
+ * Validates the options passed to attach and fills in the defaults.
+ *
+ * @private
+ *
+ * @param {(Object|boolean)=} opt_options Attach options, or whether to
+ *    anchor at the center in the older form.
+ * @param {boolean=} opt_pixels Whether to scale in pixels in the older form.
+ * @param {boolean=} opt_zscale Whether to scale z in the older form.
+ * @param {boolean=} opt_destroyOnRemove Whether to destroy the model when the
+ *    element is removed in the older form.
+ *
+ * @return {Object} The anchor fractions, offsets, scale, z scale, and whether
+ *    to destroy on remove.
+ */
+ThreeJsScene_.prototype.createAttachOptions_ = function(opt_options,
+    opt_pixels, opt_zscale, opt_destroyOnRemove) {
+  var options = opt_options;
+  if (typeof options !== 'object' || options === null) {
+    // Convert the older boolean form, where each flag defaults to true.
+    var isSet = function(flag) {
+      return typeof flag === 'undefined' || !!flag;
+    };
+
+    options = {
+      'anchor': isSet(opt_options) ? 'center' : 'topleft',
+      'scale': isSet(opt_pixels) ? 'pixels' : 'stretch',
+      'zscale': isSet(opt_zscale) ? 'average' : 'none',
+      'destroyOnRemove': opt_destroyOnRemove
+    };
+  }
+
+  var anchor = options['anchor'] || 'center';
+  var scale = options['scale'] || 'pixels';
+  var zscale = options['zscale'] || 'average';
+  var offset = options['offset'] || [0, 0];
+
+  var anchorFractions = ThreeJsScene_.anchors_[anchor];
+  log_.assert_(anchorFractions, 'anchor must be valid.', anchor,
+      '(ThreeJsScene_::createAttachOptions_)');
+  log_.assert_(ThreeJsScene_.scales_.indexOf(scale) !== -1,
+      'scale must be valid.', scale,
+      '(ThreeJsScene_::createAttachOptions_)');
+  log_.assert_(ThreeJsScene_.zscales_.indexOf(zscale) !== -1,
+      'zscale must be valid.', zscale,
+      '(ThreeJsScene_::createAttachOptions_)');
+
+  var offsetX = typeof offset.x !== 'undefined' ? offset.x : offset[0];
+  var offsetY = typeof offset.y !== 'undefined' ? offset.y : offset[1];
+
+  return {
+    anchorX_: anchorFractions[0],
+    anchorY_: anchorFractions[1],
+    offsetX_: offsetX || 0,
+    offsetY_: offsetY || 0,
+    scale_: scale,
+    zscale_: zscale,
+    destroyOnRemove_: !!options['destroyOnRemove']
+  };
+};
+
+
 /**
  * Destroys objects associated with the scene.
  *
  * @private
  */
 ThreeJsScene_.prototype.destroy_ = function() {
-  this.scene_.remove(this.parent_);
+  this.parent_.parent.remove(this.parent_);
 
-  if (this.trackId_ !== null)
+  if (this.attachments_.length > 0)
     this['detach']();
 
+  if (this.parentScene_) {
+    var childScenes = this.parentScene_.childScenes_;
+    childScenes.splice(childScenes.indexOf(this), 1);
+  }
+
   this.dispatcher_.destroy_();
   this.dispatcher_ = null;
   this.scene_ = null;
   this.view_ = null;
   this.parent_ = null;
+  this.parentScene_ = null;
+};
+
+
+/**
+ * Combines the local transforms of this scene and the scenes it is placed
+ * in to get the transform from local-space to page-space.
+ *
+ * @private
+ *
+ * @return {Array.<number>} The a, b, c, d, e, and f components of a 2D CSS
+ *     matrix followed by the z scale.
+ */
+ThreeJsScene_.prototype.findPageTransform_ = function() {
+  if (!this.parentScene_)
+    return this.transform_;
+
+  return ThreeJsScene_.multiplyTransforms_(
+      this.parentScene_.findPageTransform_(), this.transform_);
+};
+
+
+/**
+ * Determines whether any of the scene can be seen in the viewport. Attached
+ * scenes check their element, and other scenes check their meshes against
+ * the camera's view frustum.
+ *
+ * @private
+ *
+ * @param {Vector2_} position Page position of the viewport's top left corner.
+ * @param {Size2_} size Size of the viewport in pixels.
+ *
+ * @return {boolean} True if the scene may be visible.
+ */
+ThreeJsScene_.prototype.isInViewport_ = function(position, size) {
+  var attachments = this.attachments_;
+  if (attachments.length > 0) {
+    if (this.elementRemoved_)
+      return false;
+
+    for (var i = 0, len = attachments.length; i < len; ++i) {
+      var attachment = attachments[i];
+      if (!attachment.visible_)
+        continue;
+
+      // The element hasn't been measured yet.
+      var bounds = attachment.bounds_;
+      if (!bounds)
+        return true;
+
+      if (bounds[0] < position.x + size.width && bounds[2] > position.x &&
+          bounds[1] < position.y + size.height && bounds[3] > position.y)
+        return true;
+    }
+
+    return false;
+  }
+
+  // A scene with nothing in it yet is assumed to be visible, so that models
+  // still update until they create their meshes.
+  var meshes = this.meshes_;
+  if (meshes.length === 0)
+    return true;
+
+  var frustum = this.view_['camera'].frustum_;
+  for (var meshIndex = 0, numMeshes = meshes.length; meshIndex < numMeshes;
+      ++meshIndex) {
+    var mesh = meshes[meshIndex];
+    if (mesh.geometry && frustum.intersectsObject(mesh))
+      return true;
+  }
+
+  return false;
 };
 
 
@@ -387,3 +641,430 @@ ThreeJsScene_.prototype.isMesh_ = function(object) {
       object instanceof THREE.SkinnedMesh ||
       object instanceof THREE.Line;
 };
+
+
+/**
+ * Records where an attached element is and fires its move and resize events.
+ *
+ * @private
+ *
+ * @param {Object} attachment The attachment that changed.
+ * @param {number} x Page x of the element's transformed top left corner.
+ * @param {number} y Page y of the element's transformed top left corner.
+ * @param {number} w Untransformed width of the element.
+ * @param {number} h Untransformed height of the element.
+ * @param {boolean} move Whether the element moved or rotated.
+ * @param {boolean} resize Whether the element resized or was scaled.
+ * @param {boolean} visible Whether the element is not scrolled out of view.
+ * @param {Array.<number>} transform The element's CSS transform.
+ * @param {Array.<number>} clipRect Page area the element is clipped to, or
+ *     null.
+ */
+ThreeJsScene_.prototype.onAttachmentChange_ = function(attachment, x, y, w, h,
+    move, resize, visible, transform, clipRect) {
+  var a = transform[0], b = transform[1];
+  var c = transform[2], d = transform[3];
+
+  // Remember the page area the transformed element covers.
+  var xs = [x, x + a * w, x + c * h, x + a * w + c * h];
+  var ys = [y, y + b * w, y + d * h, y + b * w + d * h];
+  attachment.bounds_ = [Math.min.apply(null, xs), Math.min.apply(null, ys),
+      Math.max.apply(null, xs), Math.max.apply(null, ys)];
+  attachment.visible_ = visible;
+  attachment.clipRect_ = clipRect;
+  this.updateClipRect_();
+
+  var rotation = Math.atan2(b, a);
+  var voodooEvent = window['voodoo']['Event'];
+
+  if (move) {
+    var event = new voodooEvent('move');
+    event.object = attachment.element_;
+    event['rotation'] = rotation;
+
+    var eventPage = event['page'];
+    eventPage['x'] = x;
+    eventPage['y'] = y;
+
+    var eventSize = event['size'];
+    eventSize['x'] = w;
+    eventSize['y'] = h;
+
+    this.dispatcher_.dispatchEvent_(null, event);
+  }
+
+  if (resize) {
+    var event = new voodooEvent('resize');
+    event.object = attachment.element_;
+    event['rotation'] = rotation;
+
+    var eventPage = event['page'];
+    eventPage['x'] = x;
+    eventPage['y'] = y;
+
+    var eventSize = event['size'];
+    eventSize['x'] = w;
+    eventSize['y'] = h;
+
+    this.dispatcher_.dispatchEvent_(null, event);
+  }
+};
+
+
+/**
+ * Shows or hides everything in the scene for its model. Objects hidden
+ * because the attached element is out of view stay hidden.
+ *
+ * @private
+ *
+ * @param {boolean} enabled Whether the model is enabled.
+ */
+ThreeJsScene_.prototype.setEnabled_ = function(enabled) {
+  if (enabled === this.enabled_)
+    return;
+
+  this.enabled_ = enabled;
+  this.updateVisibility_();
+};
+
+
+/**
+ * Hides the scene while its model is out of the viewport and isn't updating
+ * fully, since its objects may be stale.
+ *
+ * @private
+ *
+ * @param {boolean} offscreen Whether to hide the scene for being offscreen.
+ */
+ThreeJsScene_.prototype.setOffscreen_ = function(offscreen) {
+  if (offscreen === this.offscreen_)
+    return;
+
+  this.offscreen_ = offscreen;
+  this.updateVisibility_();
+};
+
+
+/**
+ * Sets the transform from local-space to page-space for an attached scene.
+ * When the scene is placed in another scene, its local transform is
+ * relative to that scene, so the parent's page transform is undone first.
+ *
+ * @private
+ *
+ * @param {Array.<number>} pageTransform The a, b, c, d, e, and f components
+ *     of a 2D CSS matrix followed by the z scale.
+ */
+ThreeJsScene_.prototype.setPageTransform_ = function(pageTransform) {
+  this.pageTransform_ = pageTransform;
+
+  var transform = pageTransform;
+  if (this.parentScene_) {
+    transform = ThreeJsScene_.multiplyTransforms_(
+        ThreeJsScene_.invertTransform_(this.parentScene_.findPageTransform_()),
+        pageTransform);
+  }
+
+  this.setTransform_(transform);
+};
+
+
+/**
+ * Places the scene inside another scene's local coordinate system.
+ *
+ * @private
+ *
+ * @param {Scene} parentScene Scene to place this one in, or null to return
+ *     to the page's coordinate system.
+ */
+ThreeJsScene_.prototype.setParentScene_ = function(parentScene) {
+  if (parentScene === this.parentScene_)
+    return;
+
+  this.parent_.parent.remove(this.parent_);
+
+  if (this.parentScene_) {
+    var childScenes = this.parentScene_.childScenes_;
+    childScenes.splice(childScenes.indexOf(this), 1);
+  }
+
+  this.parentScene_ = parentScene;
+  if (parentScene) {
+    parentScene.parent_.add(this.parent_);
+    parentScene.childScenes_.push(this);
+  } else {
+    this.scene_.add(this.parent_);
+  }
+
+  // An attached scene stays on its element in the new coordinate system.
+  if (this.pageTransform_)
+    this.setPageTransform_(this.pageTransform_);
+
+  this.parent_.updateMatrixWorld(true);
+  this.isDirty_ = true;
+};
+
+
+/**
+ * Sets the transform from local-space to the space of the scene this one is
+ * placed in, or page-space if there isn't one. Attached scenes placed in
+ * this one are moved so that they stay on their elements.
+ *
+ * @private
+ *
+ * @param {Array.<number>} transform The a, b, c, d, e, and f components of
+ *     a 2D CSS matrix followed by the z scale.
+ */
+ThreeJsScene_.prototype.setTransform_ = function(transform) {
+  this.transform_ = transform;
+
+  var t = transform;
+  this.parent_.matrix.set(
+      t[0], t[2], 0, t[4],
+      t[1], t[3], 0, t[5],
+      0, 0, t[6], 0,
+      0, 0, 0, 1);
+
+  var childScenes = this.childScenes_;
+  for (var i = 0, len = childScenes.length; i < len; ++i) {
+    var childScene = childScenes[i];
+    if (childScene.pageTransform_) {
+      childScene.setPageTransform_(childScene.pageTransform_);
+      childScene.isDirty_ = true;
+    }
+  }
+};
+
+
+/**
+ * Tracks an element that doesn't set the local coordinate system so that
+ * views can find where it is.
+ *
+ * @private
+ *
+ * @param {HTMLElement} element Element to track.
+ */
+ThreeJsScene_.prototype.trackAttachment_ = function(element) {
+  log_.assert_(element, 'element must be valid.',
+      '(ThreeJsScene_::trackAttachment_)');
+
+  var attachment = this.createAttachment_(element);
+
+  var that = this;
+  attachment.trackId_ = this.tracker_.track_(element, function(x, y, w, h,
+      move, resize, visible, transform, inDocument, clipRect) {
+        // Removing any of the elements detaches the model, just like removing
+        // the first.
+        attachment.removed_ = !inDocument;
+        if (inDocument) {
+          that.onAttachmentChange_(attachment, x, y, w, h, move, resize,
+              visible, transform, clipRect);
+        }
+
+        that.updateVisibility_();
+      });
+};
+
+
+/**
+ * Clips the scene's objects to the area of the page its elements are clipped
+ * to, such as the scrolled panes they are in. Objects may stretch between
+ * the elements, so the clip rect covers all of them. The renderer reads the
+ * clip rect from the scene's parent object.
+ *
+ * @private
+ */
+ThreeJsScene_.prototype.updateClipRect_ = function() {
+  var clipRect = null;
+
+  var attachments = this.attachments_;
+  for (var i = 0, len = attachments.length; i < len; ++i) {
+    var attachmentClipRect = attachments[i].clipRect_;
+    if (!attachmentClipRect) {
+      clipRect = null;
+      break;
+    }
+
+    if (!clipRect) {
+      clipRect = attachmentClipRect.slice(0);
+    } else {
+      clipRect[0] = Math.min(clipRect[0], attachmentClipRect[0]);
+      clipRect[1] = Math.min(clipRect[1], attachmentClipRect[1]);
+      clipRect[2] = Math.max(clipRect[2], attachmentClipRect[2]);
+      clipRect[3] = Math.max(clipRect[3], attachmentClipRect[3]);
+    }
+  }
+
+  this.parent_['voodooClipRect'] = clipRect;
+};
+
+
+/**
+ * Shows the scene's objects only when its model is enabled, it isn't hidden
+ * for being offscreen, all of its elements are in the document, and at least
+ * one of them isn't scrolled out of view. This also records whether any of
+ * the elements were removed so the engine can tell the model.
+ *
+ * @private
+ */
+ThreeJsScene_.prototype.updateVisibility_ = function() {
+  var attachments = this.attachments_;
+  var elementRemoved = false;
+  var elementVisible = attachments.length === 0;
+  for (var i = 0, len = attachments.length; i < len; ++i) {
+    var attachment = attachments[i];
+    if (attachment.removed_)
+      elementRemoved = true;
+    else if (attachment.visible_)
+      elementVisible = true;
+  }
+
+  this.elementRemoved_ = elementRemoved;
+  this.parent_.visible = this.enabled_ && !this.offscreen_ &&
+      !elementRemoved && elementVisible;
+  this.isDirty_ = true;
+};
+
+
+/**
+ * Inverts a 2D transform.
+ *
+ * @private
+ *
+ * @param {Array.<number>} t The a, b, c, d, e, and f components of a 2D CSS
+ *     matrix followed by the z scale.
+ *
+ * @return {Array.<number>} The inverse transform.
+ */
+ThreeJsScene_.invertTransform_ = function(t) {
+  var determinant = t[0] * t[3] - t[2] * t[1];
+
+  return [
+    t[3] / determinant,
+    -t[1] / determinant,
+    -t[2] / determinant,
+    t[0] / determinant,
+    (t[2] * t[5] - t[3] * t[4]) / determinant,
+    (t[1] * t[4] - t[0] * t[5]) / determinant,
+    1 / t[6]
+  ];
+};
+
+
+/**
+ * Combines two 2D transforms so that the second is applied first.
+ *
+ * @private
+ *
+ * @param {Array.<number>} p Outer transform.
+ * @param {Array.<number>} c Inner transform.
+ *
+ * @return {Array.<number>} The combined transform.
+ */
+ThreeJsScene_.multiplyTransforms_ = function(p, c) {
+  return [
+    p[0] * c[0] + p[2] * c[1],
+    p[1] * c[0] + p[3] * c[1],
+    p[0] * c[2] + p[2] * c[3],
+    p[1] * c[2] + p[3] * c[3],
+    p[0] * c[4] + p[2] * c[5] + p[4],
+    p[1] * c[4] + p[3] * c[5] + p[5],
+    p[6] * c[6]
+  ];
+};
+
+
+/**
+ * The elements the scene is attached to. The first sets the local coordinate
+ * system.
+ *
+ * @private
+ * @type {Array.<Object>}
+ */
+ThreeJsScene_.prototype.attachments_ = null;
+
+
+/**
+ * Scenes placed in this one.
+ *
+ * @private
+ * @type {Array.<ThreeJsScene_>}
+ */
+ThreeJsScene_.prototype.childScenes_ = null;
+
+
+/**
+ * Whether the scene's model is enabled.
+ *
+ * @private
+ * @type {boolean}
+ */
+ThreeJsScene_.prototype.enabled_ = true;
+
+
+/**
+ * Whether the scene is hidden because its model is offscreen.
+ *
+ * @private
+ * @type {boolean}
+ */
+ThreeJsScene_.prototype.offscreen_ = false;
+
+
+/**
+ * Transform from local-space to page-space set by the attached element, or
+ * null when the scene isn't attached.
+ *
+ * @private
+ * @type {Array.<number>}
+ */
+ThreeJsScene_.prototype.pageTransform_ = null;
+
+
+/**
+ * Scene this one is placed in when its model is a child, or null.
+ *
+ * @private
+ * @type {ThreeJsScene_}
+ */
+ThreeJsScene_.prototype.parentScene_ = null;
+
+
+/**
+ * Fractions of the element's width and height where each attach anchor is.
+ *
+ * @private
+ * @const
+ * @type {Object.<string, Array.<number>>}
+ */
+ThreeJsScene_.anchors_ = {
+  'center': [0.5, 0.5],
+  'top': [0.5, 0],
+  'bottom': [0.5, 1],
+  'left': [0, 0.5],
+  'right': [1, 0.5],
+  'topleft': [0, 0],
+  'topright': [1, 0],
+  'bottomleft': [0, 1],
+  'bottomright': [1, 1]
+};
+
+
+/**
+ * Valid attach scale options.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+ThreeJsScene_.scales_ = ['pixels', 'stretch', 'contain', 'cover'];
+
+
+/**
+ * Valid attach zscale options.
+ *
+ * @private
+ * @const
+ * @type {Array.<string>}
+ */
+ThreeJsScene_.zscales_ = ['none', 'average', 'min', 'max'];
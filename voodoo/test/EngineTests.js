@@ -87,6 +87,84 @@ EngineTests.prototype.testDestroyEngine = function() {
 };
 
 
+/**
+ * Tests that destroying an engine removes every listener and timer it added
+ * so that engines can be created and destroyed repeatedly.
+ */
+EngineTests.prototype.testDestroyEngineRepeatedly = function() {
+  var listeners = [];
+  var timers = [];
+
+  var wrap = function(target, name, callback) {
+    var original = target[name];
+    target[name] = function() {
+      var result = original.apply(target, arguments);
+      callback(arguments, result);
+      return result;
+    };
+    return function() { target[name] = original; };
+  };
+
+  var removeFrom = function(list, item) {
+    var index = list.indexOf(item);
+    if (index !== -1)
+      list.splice(index, 1);
+  };
+
+  var listen = function(target) {
+    return function(args) { listeners.push([target, args[0], args[1]]); };
+  };
+
+  var unlisten = function(target) {
+    return function(args) {
+      for (var i = 0; i < listeners.length; ++i) {
+        var listener = listeners[i];
+        if (listener[0] === target && listener[1] === args[0] &&
+            listener[2] === args[1]) {
+          listeners.splice(i, 1);
+          return;
+        }
+      }
+    };
+  };
+
+  var start = function(args, id) { timers.push(id); };
+  var stop = function(args) { removeFrom(timers, args[0]); };
+
+  var restores = [
+    wrap(window, 'addEventListener', listen(window)),
+    wrap(window, 'removeEventListener', unlisten(window)),
+    wrap(document, 'addEventListener', listen(document)),
+    wrap(document, 'removeEventListener', unlisten(document)),
+    wrap(window, 'setTimeout', start),
+    wrap(window, 'clearTimeout', stop),
+    wrap(window, 'setInterval', start),
+    wrap(window, 'clearInterval', stop),
+    wrap(window, 'requestAnimationFrame', start),
+    wrap(window, 'cancelAnimationFrame', stop)
+  ];
+
+  var Model = voodoo.Model.extend({
+    name: 'Leak',
+    viewType: voodoo.View.extend()
+  });
+
+  try {
+    for (var i = 0; i < 10; ++i) {
+      voodoo.engine = new voodoo.Engine(new voodoo.Options());
+      new Model();
+      voodoo.engine.destroy();
+
+      assertEquals(0, listeners.length);
+      assertEquals(0, timers.length);
+    }
+  } finally {
+    for (var j = 0; j < restores.length; ++j)
+      restores[j]();
+  }
+};
+
+
 /**
  * Tests that the ThreeJs renderer is used by default.
  */
@@ -103,3 +181,732 @@ EngineTests.prototype.testThreeJsRenderer = function() {
 
   assertEquals(voodoo.Renderer.ThreeJs, renderer);
 };
+
+
+/**
+ * Tests that pausing the engine stops model updates until resumed.
+ */
+EngineTests.prototype.testPauseAndResume = function() {
+  voodoo.engine = new voodoo.Engine({frameLoop: false});
+
+  var numUpdates = 0;
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend(),
+    update: function(deltaTime) { numUpdates++; }
+  });
+  new CustomModel();
+
+  var numPauseEvents = 0;
+  var numResumeEvents = 0;
+  voodoo.engine.on('pause', function() { numPauseEvents++; });
+  voodoo.engine.on('resume', function() { numResumeEvents++; });
+
+  assertFalse(voodoo.engine.paused);
+  voodoo.engine.frame();
+  assertEquals(1, numUpdates);
+
+  voodoo.engine.pause();
+  assertTrue(voodoo.engine.paused);
+  assertEquals(1, numPauseEvents);
+  voodoo.engine.frame();
+  assertEquals(1, numUpdates);
+
+  // Pausing twice does not fire another event.
+  voodoo.engine.pause();
+  assertEquals(1, numPauseEvents);
+
+  voodoo.engine.resume();
+  assertFalse(voodoo.engine.paused);
+  assertEquals(1, numResumeEvents);
+  voodoo.engine.frame();
+  assertEquals(2, numUpdates);
+};
+
+
+/**
+ * Tests that a fixed timestep runs constant sized updates, caps the number of
+ * updates per frame, and interpolates the views with the leftover time.
+ */
+EngineTests.prototype.testFixedTimestep = function() {
+  voodoo.engine = new voodoo.Engine({
+    frameLoop: false,
+    fixedTimestep: 100,
+    maxUpdatesPerFrame: 3
+  });
+
+  var deltaTimes = [];
+  var alpha = -1;
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      interpolate: function(a) { alpha = a; }
+    }),
+    update: function(deltaTime) { deltaTimes.push(deltaTime); }
+  });
+  new CustomModel();
+
+  // Less than a step only interpolates.
+  voodoo.engine.frame(0.05);
+  assertEquals(0, deltaTimes.length);
+  assertEquals(0.5, alpha);
+
+  // Whole steps update and the remainder interpolates.
+  voodoo.engine.frame(0.2);
+  assertEquals([0.1, 0.1], deltaTimes);
+  assertEquals(0.5, Math.round(alpha * 100) / 100);
+
+  // Falling too far behind runs at most maxUpdatesPerFrame updates and drops
+  // whole steps from the extra time.
+  voodoo.engine.frame(0.98);
+  assertEquals(5, deltaTimes.length);
+  assertEquals(0.3, Math.round(alpha * 100) / 100);
+
+  voodoo.engine.frame(0.05);
+  assertEquals(5, deltaTimes.length);
+  assertEquals(0.8, Math.round(alpha * 100) / 100);
+};
+
+
+/**
+ * Tests that changing the time scale fires the timescale event.
+ */
+EngineTests.prototype.testTimeScale = function() {
+  voodoo.engine = new voodoo.Engine({frameLoop: false});
+
+  var numTimeScaleEvents = 0;
+  voodoo.engine.on('timescale', function() { numTimeScaleEvents++; });
+
+  assertEquals(1, voodoo.engine.timeScale);
+
+  voodoo.engine.timeScale = 0.25;
+  assertEquals(0.25, voodoo.engine.timeScale);
+  assertEquals(1, numTimeScaleEvents);
+
+  // Setting the same value does not fire another event.
+  voodoo.engine.timeScale = 0.25;
+  assertEquals(1, numTimeScaleEvents);
+
+  voodoo.engine.timeScale = 2;
+  assertEquals(2, numTimeScaleEvents);
+};
+
+
+/**
+ * Tests that frame can step the engine with explicit delta times.
+ */
+EngineTests.prototype.testFrameWithDeltaTime = function() {
+  voodoo.engine = new voodoo.Engine({frameLoop: false});
+
+  var totalTime = 0;
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend(),
+    update: function(deltaTime) { totalTime += deltaTime; }
+  });
+  var model = new CustomModel();
+
+  voodoo.engine.frame(0.5);
+  voodoo.engine.frame(0.25);
+  assertEquals(0.75, totalTime);
+
+  voodoo.engine.timeScale = 2;
+  voodoo.engine.frame(0.5);
+  assertEquals(1.75, totalTime);
+
+  model.timeScale = 0;
+  voodoo.engine.frame(0.5);
+  assertEquals(1.75, totalTime);
+};
+
+
+/**
+ * Tests that an injected clock steps the engine without real timers.
+ */
+EngineTests.prototype.testFrameWithClock = function() {
+  var time = 0;
+  voodoo.engine = new voodoo.Engine({
+    frameLoop: false,
+    clock: function() { return time; }
+  });
+
+  var totalTime = 0;
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend(),
+    update: function(deltaTime) { totalTime += deltaTime; }
+  });
+  new CustomModel();
+
+  time = 500;
+  voodoo.engine.frame();
+  assertEquals(0.5, totalTime);
+
+  time = 750;
+  voodoo.engine.frame();
+  assertEquals(0.75, totalTime);
+};
+
+
+/**
+ * Tests that the frame lifecycle events fire in order with the delta time.
+ */
+EngineTests.prototype.testFrameEvents = function() {
+  voodoo.engine = new voodoo.Engine({frameLoop: false});
+
+  var types = [];
+  var deltaTimes = [];
+  var onFrameEvent = function(event) {
+    types.push(event.type);
+    deltaTimes.push(event.deltaTime);
+  };
+
+  voodoo.engine.on('beforeupdate', onFrameEvent);
+  voodoo.engine.on('afterupdate', onFrameEvent);
+  voodoo.engine.on('beforerender', onFrameEvent);
+  voodoo.engine.on('afterrender', onFrameEvent);
+
+  voodoo.engine.frame(0.5);
+
+  assertEquals(['beforeupdate', 'afterupdate', 'beforerender', 'afterrender'],
+      types);
+  assertEquals([0.5, 0.5, 0.5, 0.5], deltaTimes);
+};
+
+
+/**
+ * Tests that exceptions thrown by a model are isolated and reported, and
+ * that the model is quarantined after too many errors.
+ */
+EngineTests.prototype.testModelErrors = function() {
+  voodoo.engine = new voodoo.Engine({frameLoop: false, maxModelErrors: 2});
+
+  var numBadUpdates = 0;
+  var BadModel = voodoo.Model.extend({
+    name: 'BadModel',
+    viewType: voodoo.View.extend(),
+    update: function(deltaTime) {
+      numBadUpdates++;
+      throw new Error('update failed');
+    }
+  });
+
+  var numGoodUpdates = 0;
+  var GoodModel = voodoo.Model.extend({
+    name: 'GoodModel',
+    viewType: voodoo.View.extend(),
+    update: function(deltaTime) { numGoodUpdates++; }
+  });
+
+  var badModel = new BadModel();
+  new GoodModel();
+
+  var engineErrors = [];
+  var modelErrors = [];
+  voodoo.engine.on('error', function(event) { engineErrors.push(event); });
+  badModel.on('error', function(event) { modelErrors.push(event); });
+
+  voodoo.engine.frame(0.1);
+  assertEquals(1, numGoodUpdates);
+  assertEquals(1, engineErrors.length);
+  assertEquals(1, modelErrors.length);
+  assertEquals('update', engineErrors[0].phase);
+  assertEquals(badModel, engineErrors[0].model);
+  assertEquals(badModel.id, engineErrors[0].modelId);
+  assertEquals('update failed', engineErrors[0].error.message);
+
+  // A throwing listener does not stop the other listeners.
+  var numListenerCalls = 0;
+  badModel.on('custom', function() { throw new Error('listener failed'); });
+  badModel.on('custom', function() { numListenerCalls++; });
+  badModel.dispatch(new voodoo.Event('custom', badModel));
+  assertEquals(1, numListenerCalls);
+  assertEquals('listener', engineErrors[1].phase);
+
+  // The model has now failed twice and is no longer updated.
+  voodoo.engine.frame(0.1);
+  voodoo.engine.frame(0.1);
+  assertEquals(1, numBadUpdates);
+  assertEquals(3, numGoodUpdates);
+};
+
+
+/**
+ * Tests that exceptions from engine listeners, error listeners, and model
+ * initialization are reported instead of escaping the engine.
+ */
+EngineTests.prototype.testListenerErrors = function() {
+  voodoo.engine = new voodoo.Engine({frameLoop: false});
+
+  var numAfterUpdates = 0;
+  voodoo.engine.on('beforeupdate', function() {
+    throw new Error('beforeupdate failed');
+  });
+  voodoo.engine.on('afterupdate', function() { numAfterUpdates++; });
+
+  var engineErrors = [];
+  voodoo.engine.on('error', function(event) {
+    engineErrors.push(event);
+    throw new Error('engine error listener failed');
+  });
+
+  voodoo.engine.frame(0.1);
+  assertEquals(1, numAfterUpdates);
+
+  var BadModel = voodoo.Model.extend({
+    name: 'BadModel',
+    viewType: voodoo.View.extend(),
+    initialize: function(options) {
+      throw new Error('initialize failed');
+    },
+    update: function(deltaTime) {
+      throw new Error('update failed');
+    }
+  });
+
+  var badModel = new BadModel();
+  assertEquals(1, engineErrors.length);
+  assertEquals('initialize', engineErrors[0].phase);
+  assertSame(badModel, voodoo.engine.getModel(badModel.id));
+
+  badModel.on('error', function() {
+    throw new Error('model error listener failed');
+  });
+
+  voodoo.engine.frame(0.1);
+  assertEquals(2, engineErrors.length);
+  assertEquals('update', engineErrors[1].phase);
+  assertEquals(2, numAfterUpdates);
+};
+
+
+/**
+ * Tests that the profiler measures each part of the frame.
+ */
+EngineTests.prototype.testStats = function() {
+  voodoo.engine = new voodoo.Engine({frameLoop: false});
+  assertNull(voodoo.engine.stats);
+  voodoo.engine.destroy();
+
+  voodoo.engine = new voodoo.Engine({
+    frameLoop: false,
+    profile: true,
+    standardLighting: false
+  });
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend()
+  });
+  var model = new CustomModel();
+
+  voodoo.engine.frame(0.1);
+  voodoo.engine.frame(0.1);
+
+  var stats = voodoo.engine.stats;
+  assertNotNull(stats);
+  assertNotUndefined(stats.update.average);
+  assertNotUndefined(stats.tracker.median);
+  assertNotUndefined(stats.mouse.p95);
+  assertNotUndefined(stats.render.max);
+  assertTrue(stats.update.max >= stats.update.median);
+  assertNotUndefined(stats.models[model.id].p99);
+
+  model.destroy();
+  assertUndefined(voodoo.engine.stats.models[model.id]);
+};
+
+
+/**
+ * Tests that the engine pauses while the page is hidden but not when the
+ * window merely loses focus.
+ */
+EngineTests.prototype.testVisibility = function() {
+  voodoo.engine = new voodoo.Engine({frameLoop: false});
+
+  var numHiddenEvents = 0;
+  var numVisibleEvents = 0;
+  voodoo.engine.on('hidden', function() { numHiddenEvents++; });
+  voodoo.engine.on('visible', function() { numVisibleEvents++; });
+
+  // Losing focus does not pause by default.
+  var evt = document.createEvent('Event');
+  evt.initEvent('blur', false, false);
+  window.dispatchEvent(evt);
+  assertFalse(voodoo.engine.paused);
+
+  var visibilityState = 'hidden';
+  Object.defineProperty(document, 'visibilityState', {
+    get: function() { return visibilityState; },
+    configurable: true
+  });
+
+  try {
+    evt = document.createEvent('Event');
+    evt.initEvent('visibilitychange', false, false);
+    document.dispatchEvent(evt);
+    assertTrue(voodoo.engine.paused);
+    assertEquals(1, numHiddenEvents);
+
+    // The engine stays paused for a short delay after becoming visible.
+    visibilityState = 'visible';
+    evt = document.createEvent('Event');
+    evt.initEvent('visibilitychange', false, false);
+    document.dispatchEvent(evt);
+    assertTrue(voodoo.engine.paused);
+    assertEquals(1, numVisibleEvents);
+  } finally {
+    delete document.visibilityState;
+  }
+};
+
+
+/**
+ * Tests that options can be changed without recreating models.
+ */
+EngineTests.prototype.testSetOptions = function() {
+  voodoo.engine = new voodoo.Engine({frameLoop: false});
+
+  var numLoads = 0;
+  var numUnloads = 0;
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() { numLoads++; },
+      unload: function() { numUnloads++; }
+    })
+  });
+  var model = new CustomModel();
+  var numViews = numLoads;
+
+  var numCanvases = document.getElementsByTagName('canvas').length;
+
+  voodoo.engine.setOptions({aboveLayer: false});
+  assertEquals(numViews, numUnloads);
+  assertTrue(numLoads > numViews);
+  assertTrue(document.getElementsByTagName('canvas').length < numCanvases);
+  assertNotNull(model.view);
+
+  // Options that do not affect the layers are applied without rebuilding.
+  numUnloads = 0;
+  voodoo.engine.setOptions({realtime: false, updateInterval: 10});
+  assertEquals(0, numUnloads);
+
+  voodoo.engine.frame();
+
+  voodoo.engine.setOptions({aboveLayer: true});
+  assertEquals(numCanvases, document.getElementsByTagName('canvas').length);
+};
+
+
+/**
+ * Tests that the canvases can be confined to a container element.
+ */
+EngineTests.prototype.testContainer = function() {
+  var container = document.createElement('div');
+  container.style.position = 'absolute';
+  container.style.left = '50px';
+  container.style.top = '40px';
+  document.body.appendChild(container);
+
+  var define = function(name, value) {
+    Object.defineProperty(container, name, {value: value, configurable: true});
+  };
+  define('clientLeft', 2);
+  define('clientTop', 3);
+  define('clientWidth', 200);
+  define('clientHeight', 100);
+
+  var bodyStyle = document.body.style;
+  bodyStyle.width = '';
+  bodyStyle.height = '';
+  bodyStyle.margin = '';
+
+  // Capture the container observer so the test can report resizes.
+  var originalResizeObserver = window.ResizeObserver;
+  var observed = null;
+  var onContainerResize = null;
+  var disconnected = false;
+  window.ResizeObserver = function(callback) {
+    onContainerResize = callback;
+    this.observe = function(element) { observed = element; };
+    this.disconnect = function() { disconnected = true; };
+  };
+
+  try {
+    voodoo.engine = new voodoo.Engine({
+      frameLoop: false,
+      container: container
+    });
+    assertEquals(container, observed);
+
+    var camera = null;
+    new (voodoo.Model.extend({
+      name: 'CameraModel',
+      viewType: voodoo.View.extend({
+        load: function() { camera = this.camera; }
+      })
+    }))();
+
+    voodoo.engine.frame();
+
+    assertEquals('', bodyStyle.width);
+    assertEquals('', bodyStyle.height);
+    assertEquals('', bodyStyle.margin);
+
+    var canvases = document.getElementsByTagName('canvas');
+    assertTrue(canvases.length > 0);
+    for (var i = 0; i < canvases.length; ++i) {
+      var canvasStyle = canvases[i].style;
+      assertEquals('200px', canvasStyle.width);
+      assertEquals('100px', canvasStyle.height);
+      assertEquals('52px', canvasStyle.left);
+      assertEquals('43px', canvasStyle.top);
+    }
+
+    // The camera looks at the center of the container.
+    assertEquals(152, camera.position.x);
+    assertEquals(93, camera.position.y);
+
+    // Resizing only the container resizes the canvases.
+    define('clientWidth', 300);
+    onContainerResize([]);
+    for (var j = 0; j < canvases.length; ++j)
+      assertEquals('300px', canvases[j].style.width);
+
+    voodoo.engine.destroy();
+    assertTrue(disconnected);
+  } finally {
+    window.ResizeObserver = originalResizeObserver;
+    document.body.removeChild(container);
+  }
+};
+
+
+/**
+ * Tests that fixed canvases leave the page untouched.
+ */
+EngineTests.prototype.testFixedCanvases = function() {
+  var bodyStyle = document.body.style;
+  bodyStyle.width = '';
+  bodyStyle.height = '';
+  bodyStyle.margin = '';
+  bodyStyle.display = '';
+
+  voodoo.engine = new voodoo.Engine({frameLoop: false});
+
+  var camera = null;
+  new (voodoo.Model.extend({
+    name: 'CameraModel',
+    viewType: voodoo.View.extend({
+      load: function() { camera = this.camera; }
+    })
+  }))();
+
+  var canvases = document.getElementsByTagName('canvas');
+  assertTrue(canvases.length > 0);
+  for (var i = 0; i < canvases.length; ++i)
+    assertEquals('fixed', canvases[i].style.position);
+
+  // Resizing should not insert anything into the page.
+  var documentElement = document.documentElement;
+  var insertBefore = documentElement.insertBefore;
+  var numInserts = 0;
+  documentElement.insertBefore = function() {
+    numInserts++;
+    return insertBefore.apply(documentElement, arguments);
+  };
+
+  try {
+    var evt = document.createEvent('Event');
+    evt.initEvent('resize', false, false);
+    window.dispatchEvent(evt);
+    voodoo.engine.frame();
+  } finally {
+    documentElement.insertBefore = insertBefore;
+  }
+
+  assertEquals(0, numInserts);
+  assertEquals('', bodyStyle.width);
+  assertEquals('', bodyStyle.height);
+  assertEquals('', bodyStyle.margin);
+  assertEquals('', bodyStyle.display);
+
+  // Scrolling moves the camera but not the canvases.
+  var cameraY = camera.position.y;
+  var pageYOffset = Object.getOwnPropertyDescriptor(window, 'pageYOffset');
+  Object.defineProperty(window, 'pageYOffset', {
+    value: 500,
+    configurable: true
+  });
+
+  try {
+    evt = document.createEvent('Event');
+    evt.initEvent('scroll', false, false);
+    window.dispatchEvent(evt);
+
+    assertEquals(cameraY + 500, camera.position.y);
+    for (i = 0; i < canvases.length; ++i)
+      assertEquals('0px', canvases[i].style.top);
+  } finally {
+    if (pageYOffset)
+      Object.defineProperty(window, 'pageYOffset', pageYOffset);
+    else
+      delete window.pageYOffset;
+  }
+};
+
+
+/**
+ * Tests looking up models by id and finding them by name, organization,
+ * type, tag, and predicate.
+ */
+EngineTests.prototype.testFindModels = function() {
+  voodoo.engine = new voodoo.Engine({
+    frameLoop: false,
+    standardLighting: false
+  });
+
+  var Card = voodoo.Model.extend({
+    name: 'Card',
+    organization: 'acme',
+    viewType: voodoo.View.extend()
+  });
+  var BigCard = Card.extend({name: 'BigCard'});
+  var Other = voodoo.Model.extend({
+    name: 'Card',
+    viewType: voodoo.View.extend()
+  });
+
+  var card = new Card();
+  var bigCard = new BigCard();
+  var other = new Other();
+
+  assertNotEquals(card.id, bigCard.id);
+  assertSame(card, voodoo.engine.getModel(card.id));
+  assertNull(voodoo.engine.getModel(-1));
+
+  assertEquals(3, voodoo.engine.findModels().length);
+  assertEquals(2, voodoo.engine.findModels({name: 'Card'}).length);
+  var acmeCards = voodoo.engine.findModels({
+    name: 'Card',
+    organization: 'acme'
+  });
+  assertEquals(1, acmeCards.length);
+  assertSame(card, acmeCards[0]);
+  assertEquals(2, voodoo.engine.findModels({type: Card}).length);
+  assertSame(bigCard, voodoo.engine.findModels({type: BigCard})[0]);
+
+  // Tags added before or after the model joins the engine are indexed.
+  card.addTag('selected').addTag('red');
+  other.tags = ['red'];
+  assertEquals(['selected', 'red'], card.tags);
+  assertEquals(2, voodoo.engine.findModels({tag: 'red'}).length);
+  assertSame(other, voodoo.engine.findModels({
+    tag: 'red',
+    predicate: function(model) { return model !== card; }
+  })[0]);
+
+  card.removeTag('red');
+  var redModels = voodoo.engine.findModels({tag: 'red'});
+  assertEquals(1, redModels.length);
+  assertSame(other, redModels[0]);
+
+  other.destroy();
+  assertNull(voodoo.engine.getModel(other.id));
+  assertEquals(0, voodoo.engine.findModels({tag: 'red'}).length);
+  assertEquals(1, voodoo.engine.findModels({name: 'Card'}).length);
+};
+
+
+/**
+ * Tests that models update by priority and after the models they depend on.
+ */
+EngineTests.prototype.testUpdateOrder = function() {
+  voodoo.engine = new voodoo.Engine({
+    frameLoop: false,
+    standardLighting: false
+  });
+
+  var updates = [];
+  var OrderedModel = voodoo.Model.extend({
+    name: 'OrderedModel',
+    viewType: voodoo.View.extend(),
+    update: function(deltaTime) {
+      updates.push(this);
+    }
+  });
+  var LateModel = OrderedModel.extend({
+    name: 'LateModel',
+    updatePriority: 'late'
+  });
+
+  var late = new LateModel();
+  var first = new OrderedModel();
+  var second = new OrderedModel();
+  var early = new OrderedModel();
+  early.updatePriority = 'early';
+
+  voodoo.engine.frame();
+  assertEquals(4, updates.length);
+  assertSame(early, updates[0]);
+  assertSame(first, updates[1]);
+  assertSame(second, updates[2]);
+  assertSame(late, updates[3]);
+
+  // Dependencies win over priorities.
+  early.dependsOn(late);
+  first.dependsOn(second);
+  assertEquals(1, early.dependencies.length);
+  updates = [];
+  voodoo.engine.frame();
+  assertSame(second, updates[0]);
+  assertSame(first, updates[1]);
+  assertSame(late, updates[2]);
+  assertSame(early, updates[3]);
+
+  assertException(function() { late.dependsOn(early); });
+
+  early.removeDependency(late);
+  second.destroy();
+  assertEquals(0, first.dependencies.length);
+  updates = [];
+  voodoo.engine.frame();
+  assertSame(early, updates[0]);
+  assertSame(first, updates[1]);
+  assertSame(late, updates[2]);
+
+  assertException(function() { first.updatePriority = 'never'; });
+};
+
+
+/**
+ * Tests that checking for circular dependencies visits each model once, even
+ * when many paths lead to the same model.
+ */
+EngineTests.prototype.testSharedDependencies = function() {
+  voodoo.engine = new voodoo.Engine({
+    frameLoop: false,
+    standardLighting: false
+  });
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend()
+  });
+
+  // Each pair depends on both models of the pair before it, so the number of
+  // paths back to the first pair doubles with every pair.
+  var pairs = [[new CustomModel(), new CustomModel()]];
+  for (var i = 1; i < 40; ++i) {
+    var previous = pairs[i - 1];
+    var pair = [new CustomModel(), new CustomModel()];
+    for (var j = 0; j < 2; ++j) {
+      pair[j].dependsOn(previous[0]);
+      pair[j].dependsOn(previous[1]);
+    }
+    pairs.push(pair);
+  }
+
+  assertException(function() { pairs[0][0].dependsOn(pairs[39][1]); });
+};
@@ -291,6 +291,47 @@ EventTests.prototype.testDestroyEvent = function() {
 };
 
 
+/**
+ * Tests that destroying an engine releases its mouse listeners so that the
+ * next engine still receives mouse events.
+ */
+EventTests.prototype.testMouseEventsAfterEngineRestart = function() {
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        var geometry = new THREE.CubeGeometry(100, 100, 100);
+        var material = new THREE.MeshBasicMaterial();
+        var mesh = new THREE.Mesh(geometry, material);
+
+        mesh.position.set(500, 600, 0);
+
+        this.scene.add(mesh);
+        this.triggers.add(mesh);
+      }
+    })
+  });
+
+  var model = new CustomModel();
+  model.on('click', function() {});
+  model.on('mousemove', function() {});
+
+  // Destroy asserts that every mouse listener was removed.
+  voodoo.engine.destroy();
+
+  voodoo.engine = new voodoo.Engine({ frameLoop: false, stencils: true });
+  enableMouseEvents();
+
+  var click = 0;
+  model = new CustomModel();
+  model.on('click', function() { click++; });
+
+  fireClick(500, 600);
+
+  assertEquals('click events:', 1, click);
+};
+
+
 /**
  * Tests that user-defined events may be fired.
  */
@@ -357,3 +398,190 @@ EventTests.prototype.testLoadEvent = function() {
   assertTrue('Model loaded: ', model.loaded);
   assertTrue('Load event fired: ', finishedLoading);
 };
+
+
+/**
+ * Tests that disabled models are hidden, not updated, and ignore the mouse.
+ */
+EventTests.prototype.testDisabledModels = function() {
+  var meshes = [];
+  var updates = 0;
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        var geometry = new THREE.CubeGeometry(100, 100, 100);
+        var material = new THREE.MeshBasicMaterial();
+        var mesh = new THREE.Mesh(geometry, material);
+
+        mesh.position.set(500, 600, 0);
+
+        this.scene.add(mesh);
+        this.triggers.add(mesh);
+        meshes.push(mesh);
+      }
+    }),
+    update: function(deltaTime) {
+      updates++;
+    }
+  });
+
+  var model = new CustomModel();
+  var numMeshes = meshes.length;
+
+  var click = 0, enable = 0, disable = 0, over = 0, out = 0;
+  model.on('click', function(evt) {click++;});
+  model.on('enable', function(evt) {enable++;});
+  model.on('disable', function(evt) {disable++;});
+  model.on('mouseover', function(evt) {over++;});
+  model.on('mouseout', function(evt) {out++;});
+
+  fireMouseEvent('mousemove', 500, 600);
+  assertEquals('mouseover events:', 1, over);
+
+  // Disabling the hovered model moves the mouse out of it.
+  model.enabled = false;
+  assertEquals('disable events:', 1, disable);
+  assertEquals('mouseout events:', 1, out);
+  for (var hiddenIndex = 0; hiddenIndex < numMeshes; ++hiddenIndex)
+    assertFalse(meshes[hiddenIndex].parent.visible);
+
+  fireClick(500, 600);
+  assertEquals('click events while disabled:', 0, click);
+
+  updates = 0;
+  voodoo.engine.frame();
+  assertEquals('updates while disabled:', 0, updates);
+
+  model.enabled = true;
+  assertEquals('enable events:', 1, enable);
+  for (var shownIndex = 0; shownIndex < numMeshes; ++shownIndex)
+    assertTrue(meshes[shownIndex].parent.visible);
+  assertEquals('loads:', numMeshes, meshes.length);
+
+  fireClick(500, 600);
+  assertEquals('click events while enabled:', 1, click);
+  assertEquals('mouseover events while enabled:', 2, over);
+  assertEquals('mouseout events while enabled:', 1, out);
+
+  voodoo.engine.frame();
+  assertTrue('updates while enabled:', updates > 0);
+  model.enabled = false;
+
+  // Models may start out disabled from initialize.
+  var numErrors = 0;
+  voodoo.engine.on('error', function(evt) {numErrors++;});
+
+  var DisabledModel = CustomModel.extend({
+    name: 'DisabledModel',
+    initialize: function(options) {
+      this.enabled = false;
+    }
+  });
+
+  meshes = [];
+  var parent = new DisabledModel();
+  assertEquals('errors:', 0, numErrors);
+  assertFalse(parent.enabled);
+  assertFalse(meshes[0].parent.visible);
+
+  // Children of a disabled model are hidden with it and ignore the mouse,
+  // but still update.
+  var child = new CustomModel();
+  var childClick = 0;
+  child.on('click', function(evt) {childClick++;});
+  parent.addChild(child);
+
+  fireClick(500, 600);
+  assertEquals('child click events while parent disabled:', 0, childClick);
+
+  updates = 0;
+  voodoo.engine.frame();
+  assertEquals('child updates while parent disabled:', 1, updates);
+};
+
+
+/**
+ * Tests that declared properties convert values and notify views and
+ * listeners when they change.
+ */
+EventTests.prototype.testChangeEvents = function() {
+  var viewChanges = [];
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    properties: {
+      size: 10,
+      label: {
+        value: 'a',
+        validate: function(value) { return value.length === 1; }
+      }
+    },
+    viewType: voodoo.View.extend({
+      change: function(name, value) {
+        viewChanges.push(name + '=' + value);
+      }
+    })
+  });
+  var FlagModel = CustomModel.extend({
+    name: 'FlagModel',
+    properties: {
+      flag: {type: 'boolean', value: false}
+    }
+  });
+
+  var model = new FlagModel({size: 5});
+  assertEquals(5, model.size);
+  assertEquals('a', model.label);
+  assertFalse(model.flag);
+
+  var changes = [];
+  var sizeChange = null;
+  model.on('change', function(event) { changes.push(event.object.name); });
+  model.on('change:size', function(event) { sizeChange = event.object; });
+
+  model.size = '20';
+  assertEquals(20, model.size);
+  assertEquals(5, sizeChange.previousValue);
+  assertEquals(20, sizeChange.value);
+  assertEquals(['size'], changes);
+  assertTrue(viewChanges.length > 0);
+  assertEquals('size=20', viewChanges[0]);
+
+  // Setting the same value does nothing.
+  model.size = 20;
+  assertEquals(1, changes.length);
+
+  model.flag = 1;
+  assertTrue(model.flag);
+  assertEquals(['size', 'flag'], changes);
+
+  assertException(function() { model.size = 'big'; });
+  assertException(function() { model.label = 'abc'; });
+  assertEquals(20, model.size);
+  assertEquals('a', model.label);
+};
+
+
+/**
+ * Tests that declared properties can't reuse the names of the model's own
+ * members.
+ */
+EventTests.prototype.testReservedPropertyNames = function() {
+  var reserved = ['enabled', 'id', 'tags', 'parent', 'loaded', 'view',
+      'update', 'name', 'toString'];
+
+  for (var i = 0; i < reserved.length; ++i) {
+    var properties = {};
+    properties[reserved[i]] = 1;
+
+    var CustomModel = voodoo.Model.extend({
+      name: 'CustomModel',
+      properties: properties,
+      viewType: voodoo.View.extend()
+    });
+
+    assertException(reserved[i], function() { new CustomModel(); });
+  }
+};
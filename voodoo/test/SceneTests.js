@@ -359,3 +359,893 @@ SceneTests.prototype.testZScaling = function() {
 
   model.testCoordinates();
 };
+
+
+/**
+ * Tests that attached scenes follow elements inside scrolled panes and are
+ * hidden when scrolled out of view.
+ */
+SceneTests.prototype.testAttachInScrolledPane = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:200px; height:200px; overflow-x:auto; overflow-y:auto;"
+        id="pane">
+      <div style="position:absolute; left:0px; top:50px;
+          width:50px; height:50px;" id="anchor"></div>
+      <div style="height:1000px;"></div>
+    </div>
+  */
+
+  var mesh = null;
+  var pageY = 0;
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        mesh = new THREE.Mesh(new THREE.CubeGeometry(10, 10, 10),
+            new THREE.MeshBasicMaterial());
+        this.scene.add(mesh);
+
+        this.scene.on('move', function(event) { pageY = event.page.y; });
+        this.scene.attach(this.model.element, false);
+      }
+    }),
+    initialize: function(options) {
+      this.element = options.element;
+    }
+  });
+
+  var pane = document.getElementById('pane');
+  new CustomModel({element: document.getElementById('anchor')});
+  voodoo.engine.frame();
+  assertEquals(150, pageY);
+
+  var scrollPane = function(scrollTop) {
+    pane.scrollTop = scrollTop;
+
+    // Scroll events on elements don't bubble.
+    var evt = document.createEvent('Event');
+    evt.initEvent('scroll', false, false);
+    pane.dispatchEvent(evt);
+  };
+
+  // The scene moves as soon as the pane scrolls.
+  scrollPane(30);
+  assertEquals(120, pageY);
+  assertTrue(mesh.parent.visible);
+
+  scrollPane(300);
+  assertFalse(mesh.parent.visible);
+
+  scrollPane(0);
+  assertTrue(mesh.parent.visible);
+};
+
+
+/**
+ * Tests that attached scenes partly scrolled out of a pane are clipped to
+ * it, only along the axes the pane hides its overflow on, and that the
+ * clipped away part ignores the mouse.
+ */
+SceneTests.prototype.testClipToScrolledPane = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:200px; height:200px; overflow-x:visible; overflow-y:auto;"
+        id="pane">
+      <div style="position:absolute; left:150px; top:50px;
+          width:100px; height:50px;" id="anchor"></div>
+      <div style="height:1000px;"></div>
+    </div>
+  */
+
+  // Record the scissor rects from every renderer the engine creates.
+  var scissors = [];
+  var WebGLRenderer = THREE.WebGLRenderer;
+  THREE.WebGLRenderer = function(parameters) {
+    var renderer = new WebGLRenderer(parameters);
+    var setScissor = renderer.setScissor;
+    renderer.setScissor = function(x, y, width, height) {
+      scissors.push([x, y, width, height]);
+      setScissor.apply(renderer, arguments);
+    };
+    return renderer;
+  };
+
+  voodoo.engine.destroy();
+  try {
+    voodoo.engine = new voodoo.Engine({
+      seamLayer: false,
+      stencils: false,
+      belowLayer: false,
+      frameLoop: false
+    });
+  } finally {
+    THREE.WebGLRenderer = WebGLRenderer;
+  }
+
+  var mesh = null;
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        mesh = new THREE.Mesh(new THREE.CubeGeometry(100, 50, 10),
+            new THREE.MeshBasicMaterial());
+        this.scene.add(mesh);
+        this.triggers.add(mesh);
+        this.scene.attach(this.model.element);
+      }
+    }),
+    initialize: function(options) {
+      this.element = options.element;
+    }
+  });
+
+  var pane = document.getElementById('pane');
+  var model = new CustomModel({element: document.getElementById('anchor')});
+
+  var click = 0;
+  model.on('click', function() { click++; });
+
+  // Scroll the element so that only its bottom half is inside the pane.
+  scissors = [];
+  pane.scrollTop = 75;
+  var evt = document.createEvent('Event');
+  evt.initEvent('scroll', false, false);
+  pane.dispatchEvent(evt);
+  voodoo.engine.frame();
+
+  var parent = mesh.parent;
+  assertTrue(parent.visible);
+
+  var clipRect = parent.voodooClipRect;
+  assertEquals(-Infinity, clipRect[0]);
+  assertEquals(100, clipRect[1]);
+  assertEquals(Infinity, clipRect[2]);
+  assertEquals(300, clipRect[3]);
+
+  // The element sticks out of the right of the pane and isn't clipped there.
+  var scale = window.devicePixelRatio || 1;
+  var documentElement = document.documentElement;
+  assertTrue(scissors.length > 0);
+  assertEquals([0, (documentElement.clientHeight - 300) * scale,
+      documentElement.clientWidth * scale, 200 * scale],
+      scissors[scissors.length - 1]);
+  assertTrue(parent.visible);
+
+  // Only the part inside the pane can be clicked.
+  fireClick(300, 90);
+  assertEquals(0, click);
+  fireClick(300, 110);
+  assertEquals(1, click);
+
+  // A pane that shows its overflow doesn't clip.
+  pane.style.overflowY = 'visible';
+  pane.dispatchEvent(evt);
+  assertNull(parent.voodooClipRect);
+  fireClick(300, 90);
+  assertEquals(2, click);
+};
+
+
+/**
+ * Tests that attached scenes follow an element's CSS transform.
+ */
+SceneTests.prototype.testAttachTransformed = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:200px; top:200px;
+        width:100px; height:100px;
+        transform:matrix(0, 1, -1, 0, 0, 0);" id="anchor"></div>
+  */
+
+  var scene = null;
+  var numMoves = 0;
+  var numResizes = 0;
+  var rotation = 0;
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        scene = this.scene;
+        scene.on('move', function(event) {
+          numMoves++;
+          rotation = event.rotation;
+        });
+        scene.on('resize', function() { numResizes++; });
+        scene.attach(this.model.element, false);
+      }
+    }),
+    initialize: function(options) {
+      this.element = options.element;
+    }
+  });
+
+  var anchor = document.getElementById('anchor');
+  new CustomModel({element: anchor});
+  voodoo.engine.frame();
+  assertEquals(Math.PI / 2, rotation);
+
+  // The top left corner is rotated a quarter turn clockwise to the top right.
+  var page = scene.localToPage({x: 10, y: 0, z: 5});
+  assertEquals(300, page.x);
+  assertEquals(210, page.y);
+  assertEquals(5, page.z);
+
+  var local = scene.pageToLocal(page);
+  assertEquals(10, local.x);
+  assertEquals(0, local.y);
+
+  // Scaling is a resize and rotating is a move.
+  numMoves = 0;
+  numResizes = 0;
+  anchor.style.transform = 'matrix(0, 2, -2, 0, 0, 0)';
+  voodoo.engine.frame();
+  assertEquals(1, numResizes);
+
+  anchor.style.transform = 'matrix(2, 0, 0, 2, 0, 0)';
+  voodoo.engine.frame();
+  assertEquals(1, numResizes);
+  assertTrue(numMoves > 0);
+  assertEquals(0, rotation);
+};
+
+
+/**
+ * Tests that attached elements are only measured after the page changes.
+ */
+SceneTests.prototype.testAttachMeasuresOnlyOnChange = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:50px; height:50px;" id="anchor"></div>
+  */
+
+  var pageX = 0;
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        this.scene.on('move', function(event) { pageX = event.page.x; });
+        this.scene.attach(this.model.element, false);
+      }
+    }),
+    initialize: function(options) {
+      this.element = options.element;
+    }
+  });
+
+  var anchor = document.getElementById('anchor');
+  new CustomModel({element: anchor});
+  voodoo.engine.frame();
+  assertEquals(100, pageX);
+
+  var numMeasures = 0;
+  var getBoundingClientRect = anchor.getBoundingClientRect;
+  anchor.getBoundingClientRect = function() {
+    numMeasures++;
+    return getBoundingClientRect.apply(this, arguments);
+  };
+
+  voodoo.engine.frame();
+  voodoo.engine.frame();
+  assertEquals(0, numMeasures);
+
+  anchor.style.left = '200px';
+  voodoo.engine.frame();
+  assertEquals(1, numMeasures);
+  assertEquals(200, pageX);
+
+  voodoo.engine.frame();
+  assertEquals(1, numMeasures);
+};
+
+
+/**
+ * Tests that attached elements are measured every frame only while an
+ * animation could be moving them.
+ */
+SceneTests.prototype.testAttachMeasuresDuringAnimations = function() {
+  /*:DOC +=
+    <div id="container">
+      <div style="position:absolute; left:100px; top:100px;
+          width:50px; height:50px;" id="anchor"></div>
+    </div>
+    <div id="spinner"></div>
+  */
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        this.scene.attach(this.model.element, false);
+      }
+    }),
+    initialize: function(options) {
+      this.element = options.element;
+    }
+  });
+
+  var anchor = document.getElementById('anchor');
+  new CustomModel({element: anchor});
+  voodoo.engine.frame();
+
+  var numMeasures = 0;
+  var getBoundingClientRect = anchor.getBoundingClientRect;
+  anchor.getBoundingClientRect = function() {
+    numMeasures++;
+    return getBoundingClientRect.apply(this, arguments);
+  };
+
+  var fireAnimationEvent = function(element, type) {
+    var evt = document.createEvent('Event');
+    evt.initEvent(type, true, false);
+    element.dispatchEvent(evt);
+  };
+
+  // Animations elsewhere on the page don't move the element.
+  var spinner = document.getElementById('spinner');
+  fireAnimationEvent(spinner, 'animationstart');
+  voodoo.engine.frame();
+  assertEquals(0, numMeasures);
+
+  // Animating an ancestor measures every frame until it ends.
+  var container = document.getElementById('container');
+  fireAnimationEvent(container, 'transitionrun');
+  voodoo.engine.frame();
+  voodoo.engine.frame();
+  assertEquals(2, numMeasures);
+
+  fireAnimationEvent(container, 'transitionend');
+  voodoo.engine.frame();
+  voodoo.engine.frame();
+  assertEquals(3, numMeasures);
+
+  // An animated element that is removed never ends its animation.
+  fireAnimationEvent(container, 'animationstart');
+  voodoo.engine.frame();
+  assertEquals(4, numMeasures);
+
+  spinner.appendChild(anchor);
+  container.parentNode.removeChild(container);
+  voodoo.engine.frame();
+  voodoo.engine.frame();
+  assertEquals(5, numMeasures);
+};
+
+
+/**
+ * Tests that models know when their attached element leaves the viewport and
+ * stop updating when asked to.
+ */
+SceneTests.prototype.testViewportEvents = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:50px; height:50px;" id="anchor"></div>
+  */
+
+  var numEnters = 0;
+  var numLeaves = 0;
+  var totalTime = 0;
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    offscreenUpdate: 'none',
+    viewType: voodoo.View.extend({
+      load: function() {
+        this.scene.attach(this.model.element);
+      }
+    }),
+    initialize: function(options) {
+      this.element = options.element;
+    },
+    update: function(deltaTime) { totalTime += deltaTime; }
+  });
+
+  var anchor = document.getElementById('anchor');
+  var model = new CustomModel({element: anchor});
+  model.on('enterviewport', function() { numEnters++; });
+  model.on('leaveviewport', function() { numLeaves++; });
+
+  voodoo.engine.frame(0.1);
+  assertEquals(0, numEnters);
+  assertEquals(0, numLeaves);
+  assertEquals(0.1, totalTime);
+
+  // Far below the bottom of the window.
+  anchor.style.top = '100000px';
+  voodoo.engine.frame(0.1);
+  voodoo.engine.frame(0.1);
+  assertEquals(1, numLeaves);
+  assertEquals(0.1, totalTime);
+
+  anchor.style.top = '100px';
+  voodoo.engine.frame(0.1);
+  assertEquals(1, numEnters);
+  assertEquals(0.2, totalTime);
+
+  // Throttled models catch up on the time they missed.
+  model.offscreenUpdate = 'throttled';
+  anchor.style.top = '100000px';
+  voodoo.engine.frame(0.1);
+  voodoo.engine.frame(0.1);
+  assertEquals(0.2, totalTime);
+  voodoo.engine.frame(0.1);
+  assertEquals(2, numLeaves);
+  assertEquals(0.5, totalTime);
+};
+
+
+/**
+ * Tests that models which don't update fully are hidden while out of view,
+ * and that models which don't care whether they are in view aren't checked.
+ */
+SceneTests.prototype.testOffscreenModelsHidden = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:50px; height:50px;" id="anchor"></div>
+  */
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        this.mesh = new THREE.Mesh(new THREE.CubeGeometry(10, 10, 10),
+            new THREE.MeshBasicMaterial());
+        this.scene.add(this.mesh);
+        this.scene.attach(this.model.element);
+      }
+    }),
+    initialize: function(options) {
+      this.element = options.element;
+      this.offscreenUpdate = options.offscreenUpdate;
+    }
+  });
+
+  var anchor = document.getElementById('anchor');
+  var throttled = new CustomModel({element: anchor,
+    offscreenUpdate: 'throttled'});
+  var full = new CustomModel({element: anchor, offscreenUpdate: 'full'});
+
+  var throttledParent = throttled.view.mesh.parent;
+  var fullParent = full.view.mesh.parent;
+
+  voodoo.engine.frame(0.1);
+  assertTrue(throttledParent.visible);
+
+  anchor.style.top = '100000px';
+  voodoo.engine.frame(0.1);
+  assertFalse(throttledParent.visible);
+  assertTrue(fullParent.visible);
+
+  // Listening for the events makes the model check. It wasn't checked
+  // before, so it only now finds out that it left.
+  var numLeaves = 0;
+  full.on('leaveviewport', function() { numLeaves++; });
+  voodoo.engine.frame(0.1);
+  assertEquals(1, numLeaves);
+  assertTrue(fullParent.visible);
+
+  anchor.style.top = '100px';
+  voodoo.engine.frame(0.1);
+  assertTrue(throttledParent.visible);
+};
+
+
+/**
+ * Tests that models without an attached element leave the viewport when
+ * their meshes are outside the camera's view.
+ */
+SceneTests.prototype.testViewportEventsForMeshes = function() {
+  var mesh = null;
+  var numEnters = 0;
+  var numLeaves = 0;
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        mesh = new THREE.Mesh(new THREE.CubeGeometry(10, 10, 10),
+            new THREE.MeshBasicMaterial());
+        mesh.position.set(100, 100, 0);
+        this.scene.add(mesh);
+      }
+    })
+  });
+
+  var model = new CustomModel();
+  model.on('enterviewport', function() { numEnters++; });
+  model.on('leaveviewport', function() { numLeaves++; });
+
+  mesh.updateMatrixWorld(true);
+  voodoo.engine.frame(0.1);
+  assertEquals(0, numLeaves);
+
+  mesh.position.set(-100000, 100, 0);
+  mesh.updateMatrixWorld(true);
+  voodoo.engine.frame(0.1);
+  assertEquals(1, numLeaves);
+
+  mesh.position.set(100, 100, 0);
+  mesh.updateMatrixWorld(true);
+  voodoo.engine.frame(0.1);
+  assertEquals(1, numEnters);
+};
+
+
+/**
+ * Tests that models are told when their attached element is removed from the
+ * document and are hidden or destroyed.
+ */
+SceneTests.prototype.testAttachedElementRemoved = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:50px; height:50px;" id="anchor"></div>
+  */
+
+  var numDetached = 0;
+  var numDestroyed = 0;
+  var meshes = [];
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        var mesh = new THREE.Mesh(new THREE.CubeGeometry(10, 10, 10),
+            new THREE.MeshBasicMaterial());
+        meshes.push(mesh);
+        this.scene.add(mesh);
+        this.scene.attach(this.model.element, {
+          destroyOnRemove: this.model.destroyOnRemove
+        });
+      }
+    }),
+    initialize: function(options) {
+      this.element = options.element;
+      this.destroyOnRemove = options.destroyOnRemove;
+      this.on('detached', function() { numDetached++; });
+      this.on('destroy', function() { numDestroyed++; });
+    }
+  });
+
+  var anchor = document.getElementById('anchor');
+  var parent = anchor.parentNode;
+  new CustomModel({element: anchor, destroyOnRemove: false});
+  new CustomModel({element: anchor, destroyOnRemove: true});
+  voodoo.engine.frame();
+  var numModels = voodoo.engine.models.length;
+
+  parent.removeChild(anchor);
+  voodoo.engine.frame();
+  assertEquals(2, numDetached);
+  assertEquals(1, numDestroyed);
+  assertEquals(numModels - 1, voodoo.engine.models.length);
+  assertFalse(meshes[0].parent.visible);
+
+  // The remaining model reappears when the element comes back.
+  parent.appendChild(anchor);
+  voodoo.engine.frame();
+  assertTrue(meshes[0].parent.visible);
+  assertEquals(2, numDetached);
+
+  parent.removeChild(anchor);
+  voodoo.engine.frame();
+  assertEquals(3, numDetached);
+};
+
+
+/**
+ * Tests that attach options anchor, offset, and scale the local coordinates.
+ */
+SceneTests.prototype.testAttachOptions = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:200px; height:100px;" id="anchor"></div>
+  */
+
+  var scene = null;
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        scene = this.scene;
+      }
+    })
+  });
+
+  var anchor = document.getElementById('anchor');
+  new CustomModel();
+
+  scene.attach(anchor, {
+    anchor: 'bottomright',
+    offset: {x: -10, y: -10},
+    scale: 'contain',
+    zscale: 'max'
+  });
+  voodoo.engine.frame();
+
+  var page = scene.localToPage({x: 0, y: 0, z: 1});
+  assertEquals(290, page.x);
+  assertEquals(190, page.y);
+  assertEquals(100, page.z);
+
+  page = scene.localToPage([1, -1, 0]);
+  assertEquals(390, page[0]);
+  assertEquals(90, page[1]);
+
+  var local = scene.pageToLocal({x: 390, y: 90, z: 50});
+  assertEquals(1, local.x);
+  assertEquals(-1, local.y);
+  assertEquals(0.5, local.z);
+
+  scene.attach(anchor, {anchor: 'top', scale: 'cover', zscale: 'none'});
+  page = scene.localToPage({x: 1, y: 1, z: 1});
+  assertEquals(400, page.x);
+  assertEquals(300, page.y);
+  assertEquals(1, page.z);
+
+  // The older boolean form still works.
+  scene.attach(anchor, false, false, false);
+  page = scene.localToPage({x: 1, y: 1, z: 1});
+  assertEquals(300, page.x);
+  assertEquals(200, page.y);
+  assertEquals(1, page.z);
+};
+
+
+/**
+ * Tests that a scene can track several elements at once.
+ */
+SceneTests.prototype.testAttachMultipleElements = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:50px; height:50px;" id="first"></div>
+    <div style="position:absolute; left:300px; top:200px;
+        width:20px; height:10px;" id="second"></div>
+  */
+
+  var scene = null;
+  var moved = [];
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        scene = this.scene;
+        scene.on('move', function(event) { moved.push(event.object.id); });
+      }
+    })
+  });
+
+  var first = document.getElementById('first');
+  var second = document.getElementById('second');
+  new CustomModel();
+
+  scene.attach([first, second], {anchor: 'topleft'});
+  assertEquals(['first', 'second'], moved);
+
+  var rect = scene.getRect(second);
+  assertEquals(200, rect.x);
+  assertEquals(100, rect.y);
+  assertEquals(20, rect.width);
+  assertEquals(10, rect.height);
+
+  // Moving the second element doesn't move the coordinate system.
+  moved = [];
+  second.style.left = '400px';
+  voodoo.engine.frame();
+  assertEquals(['second'], moved);
+  assertEquals(300, scene.getRect(second).x);
+  assertEquals(0, scene.getRect(first).x);
+
+  scene.detach();
+  assertNull(scene.getRect(second));
+};
+
+
+/**
+ * Tests that a scene attached to several elements is shown while any of them
+ * can be seen, and is detached when any of them is removed.
+ */
+SceneTests.prototype.testAttachMultipleElementsVisibility = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:0px; top:0px; width:100px;
+        height:100px; overflow-x:hidden; overflow-y:hidden;">
+      <div style="position:absolute; left:200px; top:0px;
+          width:50px; height:50px;" id="first"></div>
+    </div>
+    <div style="position:absolute; left:300px; top:200px;
+        width:20px; height:10px;" id="second"></div>
+  */
+
+  var numDetached = 0;
+  var numDestroyed = 0;
+  var meshes = [];
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        var mesh = new THREE.Mesh(new THREE.CubeGeometry(10, 10, 10),
+            new THREE.MeshBasicMaterial());
+        meshes.push(mesh);
+        this.scene.add(mesh);
+        this.scene.attach(this.model.elements, {
+          destroyOnRemove: this.model.destroyOnRemove
+        });
+      }
+    }),
+    initialize: function(options) {
+      this.elements = options.elements;
+      this.destroyOnRemove = options.destroyOnRemove;
+      this.on('detached', function() { numDetached++; });
+      this.on('destroy', function() { numDestroyed++; });
+    }
+  });
+
+  var first = document.getElementById('first');
+  var second = document.getElementById('second');
+  new CustomModel({elements: [first, second], destroyOnRemove: false});
+  new CustomModel({elements: [first, second], destroyOnRemove: true});
+  voodoo.engine.frame();
+
+  // The first element is clipped by its pane but the second can be seen.
+  assertTrue(meshes[0].parent.visible);
+
+  var parent = second.parentNode;
+  parent.removeChild(second);
+  voodoo.engine.frame();
+  assertEquals(2, numDetached);
+  assertEquals(1, numDestroyed);
+  assertFalse(meshes[0].parent.visible);
+
+  parent.appendChild(second);
+  voodoo.engine.frame();
+  assertTrue(meshes[0].parent.visible);
+};
+
+
+/**
+ * Tests that child models are placed in their parent's coordinate system.
+ */
+SceneTests.prototype.testModelHierarchy = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:50px; height:50px;" id="parent"></div>
+  */
+
+  var updates = [];
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        this.model.scene = this.scene;
+        this.model.mesh = new THREE.Mesh(new THREE.CubeGeometry(1, 1, 1),
+            new THREE.MeshBasicMaterial());
+        this.scene.add(this.model.mesh);
+      }
+    }),
+    update: function(deltaTime) {
+      updates.push(this);
+    }
+  });
+
+  var child = new CustomModel();
+  var parent = new CustomModel();
+
+  var added = null;
+  var removed = null;
+  parent.on('childadded', function(event) { added = event.object; });
+  parent.on('childremoved', function(event) { removed = event.object; });
+
+  parent.addChild(child);
+  assertSame(child, added);
+  assertSame(parent, child.parent);
+  assertEquals(1, parent.children.length);
+  assertSame(child, parent.children[0]);
+  assertSame(parent.mesh.parent, child.mesh.parent.parent);
+
+  // Parents update before their children.
+  voodoo.engine.frame();
+  assertTrue(updates.indexOf(parent) < updates.indexOf(child));
+
+  // Child coordinates are relative to the parent.
+  parent.scene.attach(document.getElementById('parent'));
+  var page = child.scene.localToPage([10, 20, 0]);
+  assertEquals(135, page[0]);
+  assertEquals(145, page[1]);
+  var local = child.scene.pageToLocal(page);
+  assertEquals(10, local[0]);
+  assertEquals(20, local[1]);
+
+  parent.removeChild(child);
+  assertSame(child, removed);
+  assertNull(child.parent);
+  assertEquals(0, parent.children.length);
+  assertTrue(child.mesh.parent.parent instanceof THREE.Scene);
+
+  // Destroying a parent destroys its children.
+  parent.addChild(child);
+  var destroyed = false;
+  child.on('destroy', function() { destroyed = true; });
+  parent.destroy();
+  assertTrue(destroyed);
+  assertEquals(-1, voodoo.engine.models.indexOf(child));
+
+  // Models can't be their own parents or ancestors.
+  var first = new CustomModel();
+  var second = new CustomModel();
+  assertException(function() { first.addChild(first); });
+  first.addChild(second);
+  assertException(function() { second.addChild(first); });
+  assertNull(first.parent);
+
+  // Children can be added before the parent's views exist.
+  var InitializingModel = CustomModel.extend({
+    name: 'InitializingModel',
+    initialize: function(options) {
+      this.addChild(options.child);
+    }
+  });
+  var lateChild = new CustomModel();
+  var initializingParent = new InitializingModel({child: lateChild});
+  assertSame(initializingParent, lateChild.parent);
+  assertSame(initializingParent.mesh.parent, lateChild.mesh.parent.parent);
+};
+
+
+/**
+ * Tests that a child model attached to an element stays on it inside its
+ * parent's coordinate system.
+ */
+SceneTests.prototype.testAttachChildModel = function() {
+  /*:DOC +=
+    <div style="position:absolute; left:100px; top:100px;
+        width:50px; height:50px;" id="parent"></div>
+    <div style="position:absolute; left:300px; top:200px;
+        width:20px; height:10px;" id="child"></div>
+  */
+
+  var CustomModel = voodoo.Model.extend({
+    name: 'CustomModel',
+    viewType: voodoo.View.extend({
+      load: function() {
+        this.model.scene = this.scene;
+        this.model.mesh = new THREE.Mesh(new THREE.CubeGeometry(1, 1, 1),
+            new THREE.MeshBasicMaterial());
+        this.scene.add(this.model.mesh);
+      }
+    })
+  });
+
+  var parent = new CustomModel();
+  var child = new CustomModel();
+  var parentElement = document.getElementById('parent');
+
+  parent.scene.attach(parentElement, {anchor: 'topleft'});
+  child.scene.attach(document.getElementById('child'), {anchor: 'topleft'});
+  parent.addChild(child);
+
+  var page = child.scene.localToPage([0, 0, 0]);
+  assertEquals(300, page[0]);
+  assertEquals(200, page[1]);
+
+  // Moving the parent doesn't move the child off its element.
+  parentElement.style.left = '150px';
+  voodoo.engine.frame();
+  page = child.scene.localToPage([5, 0, 0]);
+  assertEquals(305, page[0]);
+  assertEquals(200, page[1]);
+
+  var childMatrix = child.mesh.parent.matrixWorld.elements;
+  assertEquals(300, childMatrix[12]);
+  assertEquals(200, childMatrix[13]);
+
+  parent.removeChild(child);
+  page = child.scene.localToPage([0, 0, 0]);
+  assertEquals(300, page[0]);
+  assertEquals(200, page[1]);
+};